@@ -9,13 +9,12 @@ const map = new maplibregl.Map({
 
 // Custom glyph drawing function for bike parking data
 function drawBikeParkingGlyph(ctx, x, y, normVal, cellInfo) {
-  const { cellData, glyphRadius, cellSize } = cellInfo;
+  const { cellData, glyphRadius, cellSize, aggregates } = cellInfo;
   
   if (cellData.length === 0) return;
   
-  // Calculate aggregated values for this cell
-  const totalRacks = cellData.reduce((sum, item) => sum + item.data.RACKS, 0);
-  const totalSpaces = cellData.reduce((sum, item) => sum + item.data.SPACES, 0);
+  // Per-cell totals are computed once per aggregation (see `aggregations` below)
+  const { totalRacks, totalSpaces } = aggregates;
   const avgRacksPerSpace = totalRacks / totalSpaces;
   
   // Draw background circle with intensity based on total spaces
@@ -64,12 +63,11 @@ function drawBikeParkingGlyph(ctx, x, y, normVal, cellInfo) {
 
 // Alternative glyph: Bar chart showing racks vs spaces
 function drawBarChartGlyph(ctx, x, y, normVal, cellInfo) {
-  const { cellData, cellSize } = cellInfo;
+  const { cellData, cellSize, aggregates } = cellInfo;
   
   if (cellData.length === 0) return;
   
-  const totalRacks = cellData.reduce((sum, item) => sum + item.data.RACKS, 0);
-  const totalSpaces = cellData.reduce((sum, item) => sum + item.data.SPACES, 0);
+  const { totalRacks, totalSpaces } = aggregates;
   const maxValue = Math.max(totalRacks, totalSpaces, 1);
   
   // Draw bars
@@ -109,6 +107,10 @@ map.on("load", async () => {
     getWeight: (d) => d.SPACES,
     cellSizePixels: 60,
     colorScale: (v) => [255 * v, 200 * (1 - v), 50, 220],
+    aggregations: {
+      totalRacks: { field: (d) => d.RACKS, op: 'sum' },
+      totalSpaces: { field: (d) => d.SPACES, op: 'sum' },
+    },
     enableGlyphs: useGlyphs,
     glyphSize: 0.8,
     onDrawCell: (ctx, x, y, normVal, cellInfo) => {
@@ -124,15 +126,13 @@ map.on("load", async () => {
     },
     onHover: ({ cell }) => {
       if (cell.cellData && cell.cellData.length > 0) {
-        const totalRacks = cell.cellData.reduce((sum, item) => sum + item.data.RACKS, 0);
-        const totalSpaces = cell.cellData.reduce((sum, item) => sum + item.data.SPACES, 0);
+        const { totalRacks, totalSpaces } = cell.aggregates;
         console.log(`Cell: ${totalRacks} racks, ${totalSpaces} spaces`);
       }
     },
     onClick: ({ cell }) => {
       if (cell.cellData && cell.cellData.length > 0) {
-        const totalRacks = cell.cellData.reduce((sum, item) => sum + item.data.RACKS, 0);
-        const totalSpaces = cell.cellData.reduce((sum, item) => sum + item.data.SPACES, 0);
+        const { totalRacks, totalSpaces } = cell.aggregates;
         alert(`Cell Details:\nRacks: ${totalRacks}\nSpaces: ${totalSpaces}\nData Points: ${cell.cellData.length}`);
       }
     }
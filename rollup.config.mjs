@@ -32,6 +32,17 @@ export default [
       { file: 'dist/screengrid.umd.js', format: 'umd', name: 'ScreenGrid', sourcemap: true, globals }
     ]
   },
+  // Aggregation worker (loaded by WorkerPipeline relative to the bundle)
+  {
+    input: 'src/worker/aggregation.worker.js',
+    plugins: [
+      resolve({ browser: true }),
+      commonjs()
+    ],
+    output: [
+      { file: 'dist/aggregation.worker.js', format: 'es', sourcemap: true }
+    ]
+  },
   // UMD build (minified)
   {
     input,
@@ -11,9 +11,58 @@ import { CanvasManager } from './canvas/CanvasManager.js';
 import { Renderer } from './canvas/Renderer.js';
 import { EventBinder } from './events/EventBinder.js';
 import { EventHandlers } from './events/EventHandlers.js';
+import { Selection } from './events/Selection.js';
+import { Brush } from './events/Brush.js';
+import { EventEmitter } from './events/EventEmitter.js';
 import { GlyphUtilities } from './glyphs/GlyphUtilities.js';
+import { GridGeometry } from './core/GridGeometry.js';
+import { Mercator } from './core/Mercator.js';
+import { WorkerPipeline } from './worker/WorkerPipeline.js';
+import { DataSource } from './core/DataSource.js';
+import { SpatialIndex } from './core/SpatialIndex.js';
+import { Scales } from './core/Scales.js';
+import { Bivariate } from './core/Bivariate.js';
+import { CellEncoding } from './core/CellEncoding.js';
+import { Lens } from './core/Lens.js';
 
 export class ScreenGridLayerGL {
+  /**
+   * Event types accepted by on(), once() and off()
+   */
+  static EVENT_TYPES = [
+    'aggregate',
+    'style',
+    'render',
+    'hover',
+    'hoverend',
+    'click',
+    'dblclick',
+    'contextmenu',
+    'tap',
+    'longpress',
+    'selectionchange',
+    'brush',
+    'drilldown',
+    'drillup',
+    'datachange',
+    'remove',
+    'error',
+  ];
+
+  /**
+   * Config callbacks that are called before the listeners of their event
+   */
+  static CONFIG_CALLBACKS = {
+    aggregate: 'onAggregate',
+    hover: 'onHover',
+    hoverend: 'onHoverEnd',
+    click: 'onClick',
+    selectionchange: 'onSelectionChange',
+    brush: 'onBrush',
+    drilldown: 'onDrillDown',
+    drillup: 'onDrillUp',
+  };
+
   /**
    * Create a new ScreenGrid layer
    * @param {Object} options - Configuration options
@@ -35,6 +84,58 @@ export class ScreenGridLayerGL {
     this.gl = null;
     this.pointsProjected = [];
     this.gridData = null;
+
+    // Change tracking: camera state the current projection was computed for (null forces
+    // a full reprojection), and whether the grid must be re-aggregated before drawing
+    this.projectionKey = null;
+    this.aggregationDirty = true;
+    // Bumped on every data change; keys caches derived from the whole dataset
+    this.dataVersion = 0;
+    // Options the current gridData.valueScale / gridData.bivariate were resolved with
+    this.colorMappingSource = null;
+    // Dataset-wide cell values for the 'dataset' scale domain
+    this.datasetValues = null;
+    this.datasetValuesKey = null;
+    // KD-tree over the data positions for viewport culling, built on first projection
+    this.spatialIndex = null;
+    // Lazily built id -> row index lookup for updateData/removeData
+    this.idIndex = null;
+    // Whether config.data is a private copy that incremental updates may mutate
+    this.ownsData = false;
+
+    // Listeners registered with on() / once()
+    this.events = new EventEmitter(ScreenGridLayerGL.EVENT_TYPES);
+
+    // Interaction state: last pointer position over the map, and selected cells by location
+    this.hoverPoint = null;
+    // Cell entered by the last hover event, for hoverend (see EventHandlers.handleHoverChange)
+    this.hoverState = null;
+    this.hoveredIndex = -1;
+    this.selection = new Selection();
+    this.brush = new Brush();
+    // Whether brush mode disabled the map's drag-to-pan, so it is restored afterwards
+    this.brushDisabledDragPan = false;
+    // Whether the click that follows a finished brush gesture is still to come, and ignored
+    this.brushClickPending = false;
+    // A brush released outside the map still ends; page coordinates are made map-relative
+    this._onWindowMouseUp = (e) => {
+      if (!this.map) return;
+      const rect = this.map.getCanvasContainer().getBoundingClientRect();
+      const point = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      this._handleMouseUp({ point, originalEvent: e });
+    };
+    // Drill-down history: one entry per level, with what drillUp() restores
+    this.drillStack = [];
+    // Normalized lens options, cached per `lens` option value
+    this.lensSource = null;
+    // Zoom-dependent options evaluated for a config object and zoom (see _getZoomOptions)
+    this.zoomOptions = null;
+    this.zoomOptionsSource = null;
+    this.zoomOptionsZoom = null;
+
+    // Off-thread pipeline (useWorker)
+    this.workerPipeline = null;
+    this.workerWeights = null;
   }
 
   // ============ MapLibre GL Interface ============
@@ -59,25 +160,30 @@ export class ScreenGridLayerGL {
   onAdd(map, gl) {
     this.map = map;
     this.gl = gl;
+    // Cell info objects carry their geographic extent while the layer is on a map
+    this.cellQueryEngine.setUnproject((point) => map.unproject(point));
 
     try {
       // Initialize canvas
       this.canvasManager.init(map);
 
       // Bind events
-      this.eventBinder.bind(map, {
-        handleHover: (e) => this._handleHover(e),
-        handleClick: (e) => this._handleClick(e),
-        handleZoom: () => this._handleZoom(),
-        handleMove: () => this._handleMove(),
-      });
+      this._bindEvents();
+
+      if (this.config.brush) {
+        this._setBrushInteraction(true);
+      }
+
+      if (this.config.useWorker) {
+        this._startWorker();
+      }
 
       // Project initial data
       this._projectPoints();
 
       console.log('ScreenGridLayerGL added to map');
     } catch (error) {
-      console.error('Error adding ScreenGridLayerGL to map:', error);
+      this._reportError('Error adding ScreenGridLayerGL to map:', error);
     }
   }
 
@@ -92,12 +198,21 @@ export class ScreenGridLayerGL {
    * Called when layer is removed from map
    */
   onRemove() {
+    // Listeners (e.g. a Tooltip) still see the map while cleaning up
+    this._emit('remove', { map: this.map });
+    this._setBrushInteraction(false);
+    this._cancelBrush();
     this.eventBinder.unbind();
     this.canvasManager.cleanup();
+    this._stopWorker();
 
     this.map = null;
+    this.cellQueryEngine.setUnproject(null);
     this.pointsProjected = [];
+    this.projectionKey = null;
     this.gridData = null;
+    this.hoverPoint = null;
+    this.hoverState = null;
 
     console.log('ScreenGridLayerGL removed from map');
   }
@@ -110,19 +225,198 @@ export class ScreenGridLayerGL {
       return;
     }
 
-    this._aggregate();
+    if (this.workerPipeline) {
+      // Keep drawing the last completed result while a newer one is computed
+      this._requestWorkerFrame();
+    } else if (this.aggregationDirty) {
+      this._aggregate();
+    }
     this._draw();
+
+    if (this._hasListeners('render')) {
+      this._emit('render', { gridData: this.gridData });
+    }
+  }
+
+  // ============ Events ============
+
+  /**
+   * Listen for a layer event
+   * Config callbacks (onAggregate, onHover, onClick, onSelectionChange, onBrush) keep
+   * working and are called before the listeners of their event.
+   * @param {string} type - One of ScreenGridLayerGL.EVENT_TYPES
+   * @param {Function} listener - Called with the event payload
+   * @returns {ScreenGridLayerGL} This layer, for chaining
+   * @throws {Error} If the event type is unknown
+   */
+  on(type, listener) {
+    this.events.on(type, listener);
+    return this;
+  }
+
+  /**
+   * Listen for the next occurrence of a layer event only
+   * @param {string} type - One of ScreenGridLayerGL.EVENT_TYPES
+   * @param {Function} listener - Called with the event payload
+   * @returns {ScreenGridLayerGL} This layer, for chaining
+   * @throws {Error} If the event type is unknown
+   */
+  once(type, listener) {
+    this.events.once(type, listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener added with on() or once()
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener to remove; omit to remove every listener of the type
+   * @returns {ScreenGridLayerGL} This layer, for chaining
+   */
+  off(type, listener) {
+    this.events.off(type, listener);
+    return this;
   }
 
   // ============ Data & Config Management ============
 
   /**
    * Update data
-   * @param {Array} newData - New data array
+   * @param {Array|Object} newData - New data array, or columnar data {length, lng, lat, weight, columns}
    */
   setData(newData) {
+    this.drillStack = [];
     this.config = ConfigManager.update(this.config, { data: newData });
-    this._projectPoints();
+    this.ownsData = false;
+    this.idIndex = null;
+    this._invalidate('data');
+    this._emit('datachange', { action: 'set', count: DataSource.getLength(this.config.data) });
+  }
+
+  /**
+   * Add points without reprojecting the existing ones
+   * @param {Array} items - Data points to append
+   * @throws {Error} If the layer holds columnar data
+   */
+  appendData(items) {
+    if (!items || items.length === 0) return;
+
+    const data = this._getMutableData('appendData');
+    const projectionValid = this._isProjectionCurrent();
+    const { getPosition, getWeight, getId } = this.config;
+    const start = data.length;
+
+    for (let i = 0; i < items.length; i++) {
+      data.push(items[i]);
+      if (projectionValid) {
+        this.pointsProjected.push(Projector.projectPoint(items[i], getPosition, getWeight, this.map));
+      }
+      if (this.idIndex) this.idIndex.set(getId(items[i]), start + i);
+    }
+
+    if (this.spatialIndex || this.workerPipeline) {
+      const columns = DataSource.toColumns(items, getPosition, getWeight);
+      if (this.spatialIndex) {
+        for (let i = 0; i < items.length; i++) {
+          SpatialIndex.insert(this.spatialIndex, start + i, columns.lng[i], columns.lat[i]);
+        }
+      }
+      if (this.workerPipeline) {
+        this.workerWeights = DataSource.concatTyped(this.workerWeights, columns.weight);
+        this.workerPipeline.appendData(columns);
+      }
+    }
+
+    this._commitDataChange(projectionValid);
+    this._emit('datachange', { action: 'append', count: items.length });
+  }
+
+  /**
+   * Remove points; the remaining points keep their projected positions
+   * @param {Function|Array|Set|*} predicateOrIds - `(d, index) => boolean`, or one or more ids
+   *   resolved with the `getId` accessor
+   * @returns {number} Number of points removed
+   * @throws {Error} If ids are given without a `getId` accessor, or the layer holds columnar data
+   */
+  removeData(predicateOrIds) {
+    const shouldRemove = this._createRemovalTest(predicateOrIds);
+    const data = this._getMutableData('removeData');
+    const projectionValid = this._isProjectionCurrent();
+
+    // New row per old row (-1 once removed), to renumber the spatial index
+    const rowMap = this.spatialIndex ? new Int32Array(data.length) : null;
+    const removedRows = [];
+    let kept = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (shouldRemove(data[i], i)) {
+        if (rowMap) rowMap[i] = -1;
+        removedRows.push(i);
+        continue;
+      }
+      data[kept] = data[i];
+      if (projectionValid) this.pointsProjected[kept] = this.pointsProjected[i];
+      if (rowMap) rowMap[i] = kept;
+      kept++;
+    }
+
+    const removed = data.length - kept;
+    if (removed === 0) return 0;
+
+    data.length = kept;
+    if (projectionValid) this.pointsProjected.length = kept;
+
+    if (rowMap) SpatialIndex.remap(this.spatialIndex, rowMap);
+    if (this.workerPipeline) {
+      this.workerWeights = DataSource.removeTyped(this.workerWeights, removedRows);
+      this.workerPipeline.removeRows(Uint32Array.from(removedRows));
+    }
+
+    this.idIndex = null;
+    this._commitDataChange(projectionValid);
+    this._emit('datachange', { action: 'remove', count: removed });
+    return removed;
+  }
+
+  /**
+   * Replace the point with the given id, reprojecting only that point
+   * @param {*} id - Id as returned by the `getId` accessor
+   * @param {Object} item - Replacement data point
+   * @returns {boolean} False if no point has this id
+   * @throws {Error} If no `getId` accessor is configured, or the layer holds columnar data
+   */
+  updateData(id, item) {
+    // Checked before _getMutableData() copies the data
+    this._requireGetId('updateData');
+    const data = this._getMutableData('updateData');
+    const index = this._getIdIndex('updateData').get(id);
+    if (index === undefined) return false;
+
+    const projectionValid = this._isProjectionCurrent();
+    const { getPosition, getWeight } = this.config;
+
+    data[index] = item;
+    if (projectionValid) {
+      this.pointsProjected[index] = Projector.projectPoint(item, getPosition, getWeight, this.map);
+    }
+
+    if (this.spatialIndex || this.workerPipeline) {
+      const [lng, lat] = getPosition(item);
+      if (this.spatialIndex) SpatialIndex.insert(this.spatialIndex, index, lng, lat);
+      if (this.workerPipeline) {
+        const weight = getWeight(item);
+        this.workerWeights[index] = weight;
+        this.workerPipeline.updateRow(index, lng, lat, weight);
+      }
+    }
+
+    const newId = this.config.getId(item);
+    if (newId !== id) {
+      this.idIndex.delete(id);
+      this.idIndex.set(newId, index);
+    }
+
+    this._commitDataChange(projectionValid);
+    this._emit('datachange', { action: 'update', count: 1, id });
+    return true;
   }
 
   /**
@@ -131,7 +425,37 @@ export class ScreenGridLayerGL {
    */
   setConfig(updates) {
     this.config = ConfigManager.update(this.config, updates);
-    this._projectPoints();
+
+    if ('useWorker' in updates && this.map) {
+      if (this.config.useWorker && !this.workerPipeline) {
+        this._startWorker();
+      } else if (!this.config.useWorker) {
+        this._stopWorker();
+      }
+    }
+
+    if (('hoverThrottle' in updates || 'longPressDuration' in updates) && this.map) {
+      this.eventBinder.unbind();
+      this._bindEvents();
+    }
+
+    if ('brush' in updates && this.map) {
+      this._setBrushInteraction(this.config.brush);
+    }
+
+    if ('data' in updates) {
+      // Replaced data makes the drill-down history meaningless
+      this.drillStack = [];
+      this.ownsData = false;
+    }
+    if ('data' in updates || 'getId' in updates) this.idIndex = null;
+
+    const stage = ConfigManager.getInvalidatedStage(updates);
+    if (stage) this._invalidate(stage);
+
+    if ('data' in updates) {
+      this._emit('datachange', { action: 'set', count: DataSource.getLength(this.config.data) });
+    }
   }
 
   // ============ Public Query Methods ============
@@ -145,6 +469,19 @@ export class ScreenGridLayerGL {
     return this.cellQueryEngine.getCellAt(point);
   }
 
+  /**
+   * Get the cell containing a geographic location
+   * @param {Array|Object} lngLat - [lng, lat] or {lng, lat}
+   * @returns {Object|null} Cell information (see getCellAt), or null when the location is
+   *   outside the grid or the layer is not on a map
+   */
+  getCellAtLngLat(lngLat) {
+    if (!this.map || !lngLat) return null;
+
+    const point = this.map.project(lngLat);
+    return this.getCellAt({ x: point.x, y: point.y });
+  }
+
   /**
    * Get cells in a rectangular region
    * @param {Object} bounds - {minX, minY, maxX, maxY}
@@ -154,6 +491,63 @@ export class ScreenGridLayerGL {
     return this.cellQueryEngine.getCellsInBounds(bounds);
   }
 
+  /**
+   * Get cells overlapping a screen-space polygon
+   * @param {Array} polygon - Vertices [[x, y], ...]
+   * @returns {Array} Cells with `coverage` ('full' or 'partial') and `pointsInside`
+   */
+  getCellsInPolygon(polygon) {
+    return this.cellQueryEngine.getCellsInPolygon(polygon);
+  }
+
+  /**
+   * Get the cells around a cell
+   * @param {Object} cell - Cell info, or any {col, row}
+   * @param {Object} options - {radius, connectivity: 4|8, includeEmpty}
+   * @returns {Array} Cells with `distance` in cell steps, nearest first
+   */
+  getNeighbors(cell, options) {
+    return this.cellQueryEngine.getNeighbors(cell, options);
+  }
+
+  /**
+   * Get the cell with data closest to a point
+   * @param {Object} point - {x, y}
+   * @returns {Object|null} Cell with `distance` in pixels
+   */
+  getNearestNonEmptyCell(point) {
+    return this.cellQueryEngine.getNearestNonEmptyCell(point);
+  }
+
+  /**
+   * Get the cells with data whose center is within a radius of a point
+   * @param {Object} point - {x, y}
+   * @param {number} radius - Radius in pixels
+   * @returns {Array} Cells with `distance` in pixels, nearest first
+   */
+  getCellsWithinRadius(point, radius) {
+    return this.cellQueryEngine.getCellsWithinRadius(point, radius);
+  }
+
+  /**
+   * Get the n highest ranked cells
+   * @param {number} n - Number of cells
+   * @param {Object} options - {by: 'value' or a per-cell aggregate name}
+   * @returns {Array} Cells, highest first
+   */
+  getTopCells(n, options) {
+    return this.cellQueryEngine.getTopCells(n, options);
+  }
+
+  /**
+   * Resolve a data row index (cellData entry `index`) to its attributes
+   * @param {number} index - Row index
+   * @returns {Object} Row object; materialized on demand for columnar data
+   */
+  getDataRow(index) {
+    return DataSource.getRow(this.config.data, index);
+  }
+
   /**
    * Get grid statistics
    * @returns {Object} Grid statistics
@@ -163,23 +557,348 @@ export class ScreenGridLayerGL {
     return this.aggregator.getStats(this.gridData);
   }
 
+  // ============ Selection ============
+
+  /**
+   * Get the selected locations
+   * Each selected cell is stored as the [lng, lat] of its center when it was selected.
+   * @returns {Array} [[lng, lat], ...]
+   */
+  getSelection() {
+    return this.selection.getLocations();
+  }
+
+  /**
+   * Get the cells of the current grid that contain a selected location
+   * @returns {Array} Cell info objects (see getCellAt)
+   */
+  getSelectedCells() {
+    if (!this.gridData) return [];
+    return Array.from(this.selection.getIndices(this.map, this.gridData), (idx) =>
+      this.cellQueryEngine.getCellByIndex(idx)
+    );
+  }
+
+  /**
+   * Replace the selection
+   * @param {Array} items - [lng, lat] pairs, {lng, lat} objects, or cell info objects from queries
+   * @throws {Error} If an item is not a location, or cell info objects are given before the layer is on a map
+   */
+  setSelection(items) {
+    const locations = (items || []).map((item) => {
+      if (item && item.geoCenter) {
+        return item.geoCenter;
+      }
+      if (item && item.centerX != null && item.centerY != null) {
+        if (!this.map) {
+          throw new Error('setSelection: cell objects need the layer to be added to a map');
+        }
+        return this.map.unproject([item.centerX, item.centerY]);
+      }
+      return item;
+    });
+    this.selection.set(locations);
+    this._handleSelectionChange();
+  }
+
+  /**
+   * Deselect all cells
+   */
+  clearSelection() {
+    if (this.selection.clear()) this._handleSelectionChange();
+  }
+
+  // ============ Drill-down ============
+
+  /**
+   * Zoom to a cell and re-bin its points at a finer cell size
+   * The layer shows only the cell's points until drillUp() is called.
+   * @param {Object} cell - Cell info from a query or event
+   * @param {Object} options - Overrides for the `drillDown` config settings
+   *   {cellSizeFactor, minCellSize, padding, duration}
+   * @returns {boolean} False if the cell has no data in the current grid
+   * @throws {Error} If the layer is not on a map
+   */
+  drillDown(cell, options = {}) {
+    if (!this.map) {
+      throw new Error('drillDown: the layer must be added to a map');
+    }
+    if (!this.gridData || !cell) return false;
+
+    // Cells from earlier grids are found again by location
+    const current = cell.geoCenter
+      ? this.getCellAtLngLat(cell.geoCenter)
+      : this.cellQueryEngine.getCellByIndex(cell.index);
+    if (!current || !(current.value > 0)) return false;
+
+    const settings = { ...this._getDrillSettings(), ...options };
+    // The option (possibly a zoom expression) is restored by drillUp; the next level
+    // starts from the size at the current zoom
+    const { cellSizePixels } = this.config;
+    const center = this.map.getCenter();
+    const entry = {
+      cell: {
+        col: current.col,
+        row: current.row,
+        value: current.value,
+        pointCount: current.pointCount,
+        geoCenter: current.geoCenter,
+        geoPolygon: current.geoPolygon,
+        geoBounds: current.geoBounds,
+        cellSizePixels,
+      },
+      data: this.config.data,
+      ownsData: this.ownsData,
+      camera: {
+        center: [center.lng, center.lat],
+        zoom: this.map.getZoom(),
+        bearing: this.map.getBearing(),
+        pitch: this.map.getPitch(),
+      },
+    };
+
+    const indices = Aggregator.getCellPointIndices(this.gridData, current.index);
+    this.drillStack.push(entry);
+    this._setDrillData(
+      DataSource.subset(this.config.data, indices),
+      false,
+      Math.max(settings.minCellSize, this._getZoomOptions().cellSizePixels * settings.cellSizeFactor)
+    );
+
+    const [west, south, east, north] = current.geoBounds;
+    this.map.fitBounds(
+      [
+        [west, south],
+        [east, north],
+      ],
+      { padding: settings.padding, duration: settings.duration, bearing: entry.camera.bearing }
+    );
+
+    this._emit('drilldown', {
+      cell: { ...entry.cell },
+      level: this.drillStack.length,
+      path: this.getDrillPath(),
+    });
+    return true;
+  }
+
+  /**
+   * Go back up the drill-down history, restoring the data, cell size and camera
+   * @param {number} levels - Levels to go up; Infinity returns to the top (default: 1)
+   * @returns {boolean} False if the layer is not drilled down
+   */
+  drillUp(levels = 1) {
+    if (this.drillStack.length === 0 || !(levels > 0)) return false;
+
+    // Entries removed innermost first; the outermost one holds the state to restore
+    const removed = this.drillStack.splice(-Math.min(levels, this.drillStack.length)).reverse();
+    const target = removed[removed.length - 1];
+
+    this._setDrillData(target.data, target.ownsData, target.cell.cellSizePixels);
+    if (this.map) {
+      this.map.easeTo({ ...target.camera, duration: this._getDrillSettings().duration });
+    }
+
+    this._emit('drillup', {
+      cells: removed.map((entry) => ({ ...entry.cell })),
+      level: this.drillStack.length,
+      path: this.getDrillPath(),
+    });
+    return true;
+  }
+
+  /**
+   * Cells drilled into, outermost first, for breadcrumbs
+   * @returns {Array} [{col, row, value, pointCount, geoCenter, geoPolygon, geoBounds, cellSizePixels}]
+   *   where cellSizePixels is the cell size the cell was drilled from
+   */
+  getDrillPath() {
+    return this.drillStack.map((entry) => ({ ...entry.cell }));
+  }
+
   // ============ Internal Methods ============
 
+  /**
+   * Drill-down settings, from the `drillDown` option or the defaults
+   * @private
+   */
+  _getDrillSettings() {
+    const { drillDown } = this.config;
+    return typeof drillDown === 'object' && drillDown ? drillDown : ConfigManager.DEFAULT_DRILL_DOWN;
+  }
+
+  /**
+   * Swap the layer's data and cell size for a drill level, keeping the drill history
+   * @private
+   */
+  _setDrillData(data, ownsData, cellSizePixels) {
+    this.config = ConfigManager.update(this.config, { data, cellSizePixels });
+    this.ownsData = ownsData;
+    this.idIndex = null;
+    this._invalidate('data');
+  }
+
   /**
    * Project geographic coordinates to screen space
    * @private
    */
   _projectPoints() {
-    if (!this.map) return;
+    // The worker projects its own copy of the data
+    if (!this.map || this.workerPipeline) return;
+
+    const key = this._getCameraKey();
+    if (key === this.projectionKey) return;
 
     this.pointsProjected = Projector.projectPoints(
       this.config.data,
       this.config.getPosition,
       this.config.getWeight,
-      this.map
+      this.map,
+      this._getCullingCandidates()
+    );
+    this.projectionKey = key;
+    this.aggregationDirty = true;
+  }
+
+  /**
+   * Select the rows near the viewport from the spatial index
+   * @private
+   * @returns {Uint32Array|null} Row indices to project, or null to project every row
+   */
+  _getCullingCandidates() {
+    const { data, getPosition, viewportCulling, cullingMargin } = this.config;
+    if (!viewportCulling || DataSource.getLength(data) === 0) return null;
+
+    if (!this.spatialIndex) {
+      this.spatialIndex = SpatialIndex.build(data, getPosition);
+    }
+
+    // Partially visible edge cells reach up to one cell beyond the viewport
+    const { width, height } = this.canvasManager.getDisplaySize();
+    const bounds = SpatialIndex.getViewportBounds(
+      this.map,
+      cullingMargin + this._getLatticeCellSize(),
+      width,
+      height
+    );
+
+    return SpatialIndex.query(this.spatialIndex, bounds);
+  }
+
+  /**
+   * Identify the camera state a projection is valid for
+   * @private
+   * @returns {string} Key that changes whenever screen positions would change
+   */
+  _getCameraKey() {
+    const center = this.map.getCenter();
+    const { width, height } = this.canvasManager.getDisplaySize();
+    return [
+      center.lng,
+      center.lat,
+      this.map.getZoom(),
+      this.map.getBearing(),
+      this.map.getPitch(),
+      width,
+      height,
+    ].join(',');
+  }
+
+  /**
+   * Whether pointsProjected matches the data and the current camera,
+   * so incremental updates can patch it in place
+   * @private
+   */
+  _isProjectionCurrent() {
+    return (
+      !!this.map &&
+      !this.workerPipeline &&
+      this.projectionKey !== null &&
+      this.projectionKey === this._getCameraKey()
     );
   }
 
+  /**
+   * Get a data array that incremental updates may modify in place
+   * The caller's array is copied once so it is never mutated.
+   * @private
+   */
+  _getMutableData(method) {
+    if (DataSource.isColumnar(this.config.data)) {
+      throw new Error(`ScreenGridLayerGL.${method} requires array data; use setData for columnar data`);
+    }
+
+    if (!this.ownsData) {
+      this.config.data = this.config.data.slice();
+      this.ownsData = true;
+    }
+    return this.config.data;
+  }
+
+  /**
+   * Get the id -> row index lookup, building it on first use
+   * @private
+   */
+  _getIdIndex(method) {
+    this._requireGetId(method);
+    const { getId, data } = this.config;
+
+    if (!this.idIndex) {
+      this.idIndex = new Map();
+      for (let i = 0; i < data.length; i++) {
+        this.idIndex.set(getId(data[i]), i);
+      }
+    }
+    return this.idIndex;
+  }
+
+  /**
+   * Throw unless a getId accessor is configured
+   * @private
+   */
+  _requireGetId(method) {
+    if (typeof this.config.getId !== 'function') {
+      throw new Error(`ScreenGridLayerGL.${method} requires a getId accessor`);
+    }
+  }
+
+  /**
+   * Build the removeData() test from a predicate or a set of ids
+   * @private
+   */
+  _createRemovalTest(predicateOrIds) {
+    if (typeof predicateOrIds === 'function') {
+      return predicateOrIds;
+    }
+
+    const { getId } = this.config;
+    if (typeof getId !== 'function') {
+      throw new Error('ScreenGridLayerGL.removeData by id requires a getId accessor');
+    }
+
+    const ids =
+      predicateOrIds instanceof Set
+        ? predicateOrIds
+        : new Set(Array.isArray(predicateOrIds) ? predicateOrIds : [predicateOrIds]);
+    return (d) => ids.has(getId(d));
+  }
+
+  /**
+   * Propagate an incremental data change to the next frame
+   * The caller has already patched the spatial index and the worker's copy of the data.
+   * @private
+   * @param {boolean} projectionPatched - Whether pointsProjected was updated in place
+   */
+  _commitDataChange(projectionPatched) {
+    this.dataVersion++;
+    // Merge the accumulated patches into a fresh tree on the next full projection
+    if (this.spatialIndex && SpatialIndex.needsRebuild(this.spatialIndex)) {
+      this.spatialIndex = null;
+    }
+
+    this._invalidate(projectionPatched ? 'aggregation' : 'projection');
+  }
+
   /**
    * Aggregate points into grid
    * @private
@@ -194,16 +913,374 @@ export class ScreenGridLayerGL {
       this.config.data,
       width,
       height,
-      this.config.cellSizePixels
+      this._getZoomOptions().cellSizePixels,
+      { ...this._getGridOptions(), aggregations: this.config.aggregations }
     );
+    this.aggregationDirty = false;
+
+    this._setGridData(this.gridData);
+  }
+
+  /**
+   * Mark a pipeline stage and every later one as stale, then schedule a frame
+   * Camera changes are detected separately in _projectPoints().
+   * @private
+   * @param {string} stage - One of ConfigManager.PIPELINE_STAGES
+   */
+  _invalidate(stage) {
+    const level = ConfigManager.PIPELINE_STAGES.indexOf(stage);
+
+    if (level <= 0) {
+      // Data changed: indexes and the worker's copy are stale
+      this.dataVersion++;
+      this.spatialIndex = null;
+      this._sendWorkerData();
+    }
+    if (level <= 1) {
+      this.projectionKey = null;
+    }
+    if (level <= 2) {
+      this.aggregationDirty = true;
+      // The worker dedupes frames by camera and grid options, not by aggregations
+      if (this.workerPipeline) this.workerPipeline.invalidate();
+    }
+
+    if (this.map) this.map.triggerRepaint();
+  }
+
+  /**
+   * Publish a new aggregation result to queries and listeners
+   * @private
+   */
+  _setGridData(gridData) {
+    this.gridData = gridData;
+    this._updateColorMapping();
 
     // Update cell query engine
-    this.cellQueryEngine.setAggregationResult(this.gridData);
+    this.cellQueryEngine.setAggregationResult(gridData);
+
+    this._emit('aggregate', gridData);
+  }
+
+  /**
+   * Call an event's config callback, then its listeners
+   * @private
+   */
+  _emit(type, payload) {
+    const callbackName = ScreenGridLayerGL.CONFIG_CALLBACKS[type];
+    const callback = callbackName ? this.config[callbackName] : null;
+    if (callback) {
+      // Guarded like listeners, so a throwing callback does not skip them
+      try {
+        callback(payload);
+      } catch (e) {
+        console.error(`Error in ${callbackName} callback:`, e);
+      }
+    }
+    this.events.emit(type, payload);
+  }
+
+  /**
+   * Whether an event has a config callback or listeners, so its payload is worth building
+   * @private
+   */
+  _hasListeners(type) {
+    const callbackName = ScreenGridLayerGL.CONFIG_CALLBACKS[type];
+    return !!(callbackName && this.config[callbackName]) || this.events.has(type);
+  }
+
+  /**
+   * Log an error and emit it to `error` listeners
+   * @private
+   */
+  _reportError(message, error) {
+    console.error(message, error);
+    this._emit('error', { message, error });
+  }
+
+  /**
+   * Resolve the configured value scale, bivariate classification and cell encoding for the current grid
+   * Runs after each aggregation, and before drawing when one of those options, `colorBy` or
+   * `colorScale` changed. Results are stored on the grid as `valueScale`, `bivariate` and
+   * `cellEncoding` so legends can show them.
+   * @private
+   * @returns {boolean} Whether the mapping was recomputed
+   */
+  _updateColorMapping() {
+    const gridData = this.gridData;
+    if (!gridData) return false;
+
+    const { scale, colorBy, bivariate, cellEncoding, colorScale } = this.config;
+    const source = this.colorMappingSource;
+    if (
+      source &&
+      source.gridData === gridData &&
+      source.scale === scale &&
+      source.colorBy === colorBy &&
+      source.bivariate === bivariate &&
+      source.cellEncoding === cellEncoding &&
+      source.colorScale === colorScale
+    ) {
+      return false;
+    }
+    this.colorMappingSource = { gridData, scale, colorBy, bivariate, cellEncoding, colorScale };
+
+    gridData.bivariate = null;
+    if (bivariate) {
+      try {
+        gridData.bivariate = Bivariate.resolve(bivariate, gridData);
+      } catch (error) {
+        this._reportError('ScreenGridLayerGL: invalid bivariate options:', error);
+      }
+    }
+
+    gridData.cellEncoding = null;
+    if (cellEncoding) {
+      try {
+        gridData.cellEncoding = CellEncoding.resolve(cellEncoding, gridData);
+      } catch (error) {
+        this._reportError('ScreenGridLayerGL: invalid cellEncoding:', error);
+      }
+    }
+
+    if (!scale) {
+      gridData.valueScale = null;
+      return true;
+    }
+
+    try {
+      const useDataset = Scales.normalizeOptions(scale).domain === 'dataset';
+      gridData.valueScale = Scales.resolve(
+        scale,
+        Scales.collectValues(gridData.grid, Aggregator.getValues(gridData, colorBy)),
+        useDataset ? this._getDatasetValues() : null
+      );
+    } catch (error) {
+      this._reportError('ScreenGridLayerGL: invalid scale:', error);
+      gridData.valueScale = null;
+    }
+    return true;
+  }
 
-    // Trigger callback
-    if (this.config.onAggregate) {
-      this.config.onAggregate(this.gridData);
+  /**
+   * Cell values over the whole dataset, cached per data version and integer zoom
+   * @private
+   */
+  _getDatasetValues() {
+    if (!this.map) return null;
+
+    const { data, getPosition, getWeight, aggregations, colorBy } = this.config;
+    const zoom = Math.round(this.map.getZoom());
+    const key = {
+      dataVersion: this.dataVersion,
+      data,
+      zoom,
+      // Zoom-dependent sizes are taken at the same whole zoom as the world grid
+      cellSizePixels: ConfigManager.resolveZoomOptions(this.config, zoom).cellSizePixels,
+      aggregations,
+      colorBy,
+    };
+
+    const cached = this.datasetValuesKey;
+    if (!cached || Object.keys(key).some((name) => key[name] !== cached[name])) {
+      const columns = DataSource.toColumns(data, getPosition, getWeight);
+      this.datasetValues = Aggregator.aggregateWorld(columns, zoom, key.cellSizePixels, data, {
+        aggregations,
+        colorBy,
+      });
+      this.datasetValuesKey = key;
     }
+
+    return this.datasetValues;
+  }
+
+  /**
+   * Start the aggregation worker, falling back to the main thread if unavailable
+   * @private
+   */
+  _startWorker() {
+    if (!WorkerPipeline.isSupported()) {
+      console.warn('ScreenGridLayerGL: Web Workers unavailable, aggregating on the main thread');
+      return;
+    }
+
+    try {
+      this.workerPipeline = new WorkerPipeline({ workerUrl: this.config.workerUrl });
+      this.workerPipeline.start(
+        (result) => this._handleWorkerResult(result),
+        (error) => this._handleWorkerError(error)
+      );
+      this._sendWorkerData();
+    } catch (error) {
+      this._handleWorkerError(error);
+    }
+  }
+
+  /**
+   * Stop the aggregation worker
+   * @private
+   */
+  _stopWorker() {
+    if (this.workerPipeline) {
+      this.workerPipeline.terminate();
+      this.workerPipeline = null;
+    }
+    this.workerWeights = null;
+    // pointsProjected was not maintained while the worker was active
+    this.projectionKey = null;
+  }
+
+  /**
+   * Ship the current dataset to the worker as transferable typed arrays
+   * @private
+   */
+  _sendWorkerData() {
+    if (!this.workerPipeline) return;
+
+    const columns = DataSource.toColumns(
+      this.config.data,
+      this.config.getPosition,
+      this.config.getWeight
+    );
+    // Weights are transferred away, keep a copy for cellData entries
+    this.workerWeights = columns.weight.slice();
+    this.workerPipeline.setData(columns);
+
+    if (this.map) this.map.triggerRepaint();
+  }
+
+  /**
+   * Send the current camera state to the worker
+   * @private
+   */
+  _requestWorkerFrame() {
+    const { width, height } = this.canvasManager.getDisplaySize();
+
+    this.workerPipeline.requestFrame(
+      Mercator.getCamera(this.map, width, height),
+      this._getZoomOptions().cellSizePixels,
+      this._getGridOptions()
+    );
+  }
+
+  /**
+   * Receive a completed worker result
+   * @private
+   */
+  _handleWorkerResult(result) {
+    if (!this.map || !this.workerWeights) return;
+
+    this._setGridData(
+      Aggregator.fromBinned(result, this.config.data, this.workerWeights, {
+        aggregations: this.config.aggregations,
+      })
+    );
+    this.map.triggerRepaint();
+  }
+
+  /**
+   * Fall back to main-thread aggregation when the worker fails
+   * @private
+   */
+  _handleWorkerError(error) {
+    this._reportError('ScreenGridLayerGL: aggregation worker failed, using main thread:', error);
+    this._stopWorker();
+    this._projectPoints();
+    if (this.map) this.map.triggerRepaint();
+  }
+
+  /**
+   * Collect the grid options passed to aggregation
+   * @private
+   * @returns {Object} {gridType, hexOrientation, origin, adaptive}
+   */
+  _getGridOptions() {
+    return {
+      gridType: this.config.gridType,
+      hexOrientation: this.config.hexOrientation,
+      origin: this._getGridOrigin(),
+      adaptive: this._getAdaptiveOptions(),
+    };
+  }
+
+  /**
+   * Resolve quadtree settings from `adaptiveCellSize`
+   * Hex grids do not subdivide, so the option is ignored for them.
+   * @private
+   * @returns {Object|null} {threshold, minCellSize, maxCellSize}, or null for a uniform grid
+   */
+  _getAdaptiveOptions() {
+    const { adaptiveCellSize, gridType } = this.config;
+    if (!adaptiveCellSize || gridType === 'hex') return null;
+
+    const { minCellSize, maxCellSize } = this._getZoomOptions();
+    return { threshold: adaptiveCellSize.threshold, minCellSize, maxCellSize };
+  }
+
+  /**
+   * Size of the lattice cells: the largest (root) cells for adaptive grids
+   * @private
+   * @returns {number} Cell size in pixels
+   */
+  _getLatticeCellSize() {
+    const adaptive = this._getAdaptiveOptions();
+    return adaptive ? adaptive.maxCellSize : this._getZoomOptions().cellSizePixels;
+  }
+
+  /**
+   * Zoom-dependent options evaluated at the current zoom, cached per config and zoom
+   * Off the map, expressions are evaluated at zoom 0. Values that are invalid at this zoom
+   * are reported, and the last valid ones (or the default cell sizes) are kept.
+   * @private
+   * @returns {Object} See ConfigManager.resolveZoomOptions()
+   */
+  _getZoomOptions() {
+    const zoom = this.map ? this.map.getZoom() : 0;
+    if (this.zoomOptionsSource !== this.config || this.zoomOptionsZoom !== zoom) {
+      try {
+        this.zoomOptions = ConfigManager.resolveZoomOptions(this.config, zoom);
+      } catch (error) {
+        this._reportError('ScreenGridLayerGL: invalid zoom-dependent options:', error);
+        if (!this.zoomOptions) {
+          const { cellSizePixels, minCellSize, maxCellSize } = ConfigManager.DEFAULT_CONFIG;
+          this.zoomOptions = ConfigManager.resolveZoomOptions(
+            { ...this.config, cellSizePixels, minCellSize, maxCellSize },
+            zoom
+          );
+        }
+      }
+      this.zoomOptionsSource = this.config;
+      this.zoomOptionsZoom = zoom;
+    }
+    return this.zoomOptions;
+  }
+
+  /**
+   * Compute the lattice origin for the configured grid anchor
+   * @private
+   * @returns {Object} {x, y} screen offset of the lattice
+   */
+  _getGridOrigin() {
+    if (this.config.gridAnchor !== 'world') {
+      return { x: 0, y: 0 };
+    }
+
+    // Locate the screen's top-left corner in world pixels at the current zoom,
+    // measured from the map center so padding is taken into account
+    const zoom = this.map.getZoom();
+    const center = this.map.getCenter();
+    const centerScreen = this.map.project(center);
+    const centerWorld = Mercator.lngLatToWorld(center.lng, center.lat, zoom);
+
+    return GridGeometry.anchoredOrigin(
+      centerWorld.x - centerScreen.x,
+      centerWorld.y - centerScreen.y,
+      this._getLatticeCellSize(),
+      {
+        gridType: this.config.gridType,
+        hexOrientation: this.config.hexOrientation,
+      }
+    );
   }
 
   /**
@@ -212,14 +1289,145 @@ export class ScreenGridLayerGL {
    */
   _draw() {
     const ctx = this.canvasManager.getContext();
+    // Style-only changes to scale/colorBy re-resolve without re-aggregating; after an
+    // aggregation the 'aggregate' event already announced the new mapping
+    if (this._updateColorMapping()) {
+      this._emit('style', { gridData: this.gridData });
+    }
+
     const config = {
       colorScale: this.config.colorScale,
+      colorBy: this.config.colorBy,
+      scale: this.gridData ? this.gridData.valueScale : null,
+      bivariate: this.gridData ? this.gridData.bivariate : null,
+      cellEncoding: this.gridData ? this.gridData.cellEncoding : null,
+      cellStyle: this.config.cellStyle,
       enableGlyphs: this.config.enableGlyphs,
       onDrawCell: this.config.onDrawCell,
-      glyphSize: this.config.glyphSize,
+      glyphSize: this._getZoomOptions().glyphSize,
+      opacity: this._getZoomOptions().opacity,
     };
 
     Renderer.render(this.gridData, ctx, config);
+
+    const { hoverStyle, selectionStyle } = this.config;
+    if (this.gridData && (hoverStyle || selectionStyle)) {
+      // The grid may have moved under a still pointer, so hover is located again per frame
+      this.hoveredIndex = this._getHoveredIndex();
+      Renderer.renderHighlights(this.gridData, ctx, {
+        hoveredIndex: this.hoveredIndex,
+        selectedIndices: selectionStyle ? this.selection.getIndices(this.map, this.gridData) : [],
+        hoverStyle,
+        selectionStyle,
+      });
+    }
+
+    if (this.config.lens && this.hoverPoint && this.gridData) {
+      this._drawLens(ctx, config);
+    }
+
+    if (this.brush.active) {
+      Renderer.renderBrush(ctx, this.brush.getPolygon(), this.config.brushStyle || {});
+    }
+  }
+
+  /**
+   * Draw the magnifier lens around the pointer
+   * Scales, bivariate classes and encodings are re-resolved on the lens cells, whose values
+   * are smaller than the layer's. A 'dataset' scale domain uses the lens cells too.
+   * @private
+   */
+  _drawLens(ctx, config) {
+    const lens = this._getLensOptions();
+    if (!lens) return;
+
+    const lensData = Lens.aggregate(this.gridData, this.config.data, this.hoverPoint, lens, {
+      aggregations: this.config.aggregations,
+    });
+    const { scale, colorBy, bivariate, cellEncoding } = this.config;
+    // Options that failed on the layer's grid were already reported; leave them off here
+    const lensConfig = {
+      ...config,
+      bivariate: config.bivariate ? Bivariate.resolve(bivariate, lensData) : null,
+      cellEncoding: config.cellEncoding ? CellEncoding.resolve(cellEncoding, lensData) : null,
+      scale: null,
+    };
+    if (config.scale) {
+      const opts = Scales.normalizeOptions(scale);
+      lensConfig.scale = Scales.resolve(
+        opts.domain === 'dataset' ? { ...opts, domain: 'viewport' } : opts,
+        Scales.collectValues(lensData.grid, Aggregator.getValues(lensData, colorBy))
+      );
+    }
+
+    Renderer.renderLens(lensData, ctx, lensConfig, lens);
+  }
+
+  /**
+   * Normalized lens options, or null if they are invalid
+   * @private
+   */
+  _getLensOptions() {
+    const { lens } = this.config;
+    if (!this.lensSource || this.lensSource.options !== lens) {
+      this.lensSource = { options: lens, lens: null };
+      try {
+        this.lensSource.lens = Lens.normalizeOptions(lens);
+      } catch (error) {
+        this._reportError('ScreenGridLayerGL: invalid lens options:', error);
+      }
+    }
+    return this.lensSource.lens;
+  }
+
+  /**
+   * Index of the cell under the last pointer position, or -1
+   * @private
+   */
+  _getHoveredIndex() {
+    if (!this.hoverPoint || !this.gridData) return -1;
+    return GridGeometry.indexAt(this.gridData, this.hoverPoint.x, this.hoverPoint.y);
+  }
+
+  /**
+   * Emit selectionchange and redraw the highlights
+   * @private
+   */
+  _handleSelectionChange() {
+    if (this._hasListeners('selectionchange')) {
+      this._emit('selectionchange', {
+        selection: this.getSelection(),
+        cells: this.getSelectedCells(),
+      });
+    }
+    this._invalidate('style');
+  }
+
+  /**
+   * Attach the layer's handlers to the map
+   * Zoom and move need no handlers: prerender() follows the camera each frame.
+   * @private
+   */
+  _bindEvents() {
+    this.eventBinder.bind(
+      this.map,
+      {
+        handleHover: (e) => this._handleHover(e),
+        handleClick: (e) => this._handleClick(e),
+        handleMouseDown: (e) => this._handleMouseDown(e),
+        handleMouseUp: (e) => this._handleMouseUp(e),
+        handleDblClick: (e) => this._handleCellEvent('dblclick', e),
+        handleContextMenu: (e) => this._handleCellEvent('contextmenu', e),
+        handleMouseOut: (e) => this._handleMouseOut(e),
+        handleTap: (e) => this._handleTap(e),
+        handleLongPress: (e) => this._handleCellEvent('longpress', e),
+        handleTouchCancel: (e) => this._handleMouseOut(e),
+      },
+      {
+        hoverThrottle: this.config.hoverThrottle,
+        longPressDuration: this.config.longPressDuration,
+      }
+    );
   }
 
   /**
@@ -227,35 +1435,179 @@ export class ScreenGridLayerGL {
    * @private
    */
   _handleHover(e) {
-    EventHandlers.handleHover(e, this.cellQueryEngine, this.config.onHover);
+    if (this.brush.active) {
+      this.brush.move(e.point);
+      this._invalidate('style');
+      return;
+    }
+
+    this.hoverPoint = { x: e.point.x, y: e.point.y };
+    this._updateHover(e);
+  }
+
+  /**
+   * Emit hover/hoverend when the cell under hoverPoint changes, and redraw its highlight
+   * @private
+   */
+  _updateHover(e) {
+    if (this._hasListeners('hover') || this._hasListeners('hoverend')) {
+      this.hoverState = EventHandlers.handleHoverChange(
+        e,
+        this.cellQueryEngine,
+        this.hoverState,
+        (payload) => this._emit('hover', payload),
+        (payload) => this._emit('hoverend', payload)
+      );
+    } else {
+      this.hoverState = null;
+    }
+
+    // The lens follows the pointer, so it redraws on every move
+    if (this.config.lens || (this.config.hoverStyle && this._getHoveredIndex() !== this.hoveredIndex)) {
+      this._invalidate('style');
+    }
+  }
+
+  /**
+   * End the hover when the pointer leaves the map, or a touch drags or is cancelled
+   * @private
+   */
+  _handleMouseOut(e) {
+    this.hoverPoint = null;
+    this.hoverState = EventHandlers.handleHoverEnd(e, this.hoverState, (payload) =>
+      this._emit('hoverend', payload)
+    );
+
+    if (this.config.lens || (this.config.hoverStyle && this.hoveredIndex !== -1)) {
+      this._invalidate('style');
+    }
   }
 
   /**
-   * Handle click event
+   * Touch has no hover: a tap inspects the cell like hovering it, and emits tap.
+   * The tapped cell stays hovered until a tap on an empty cell or off the grid, a drag or a cancelled touch.
+   * @private
+   */
+  _handleTap(e) {
+    const cell = this.gridData ? this.getCellAt({ x: e.point.x, y: e.point.y }) : null;
+    if (cell && cell.value > 0) {
+      this.hoverPoint = { x: e.point.x, y: e.point.y };
+      this._updateHover(e);
+    } else {
+      this._handleMouseOut(e);
+    }
+    this._handleCellEvent('tap', e);
+  }
+
+  /**
+   * Handle click event; the click ending a brush gesture is ignored
    * @private
    */
   _handleClick(e) {
-    EventHandlers.handleClick(e, this.cellQueryEngine, this.config.onClick);
+    if (this.brushClickPending) {
+      this.brushClickPending = false;
+      return;
+    }
+    this._handleCellEvent('click', e);
+
+    if (this.config.drillDown && this.gridData && this.map) {
+      // Clicks on cells with data drill down instead of changing the selection
+      let drilled = false;
+      EventHandlers.handleClick(e, this.cellQueryEngine, ({ cell }) => {
+        drilled = this.drillDown(cell);
+      });
+      if (drilled) return;
+    }
+
+    if (!this.config.selectable || !this.gridData || !this.map) return;
+
+    // Shift-click adds to or removes from the selection; a plain click replaces it
+    const additive = !!(e.originalEvent && e.originalEvent.shiftKey);
+    const cell = this.getCellAt({ x: e.point.x, y: e.point.y });
+    if (cell && cell.value > 0) {
+      this.selection.toggle(this.map, this.gridData, cell.geoCenter, additive);
+      this._handleSelectionChange();
+    } else if (!additive) {
+      this.clearSelection();
+    }
   }
 
   /**
-   * Handle zoom event
+   * Emit a pointer event (click, dblclick, contextmenu) for the cell under the pointer
    * @private
    */
-  _handleZoom() {
-    EventHandlers.handleZoom(this.map, this.config, () => {
-      this._projectPoints();
-    });
+  _handleCellEvent(type, e) {
+    if (!this._hasListeners(type)) return;
+    EventHandlers.handleClick(e, this.cellQueryEngine, (payload) => this._emit(type, payload));
   }
 
   /**
-   * Handle move event
+   * Start a brush in brush mode; the lasso key switches from box to lasso
    * @private
    */
-  _handleMove() {
-    EventHandlers.handleMove(() => {
-      this._projectPoints();
-    });
+  _handleMouseDown(e) {
+    // A brush gesture that produced no click must not swallow this one
+    this.brushClickPending = false;
+    if (!this.config.brush || !this.gridData) return;
+
+    const original = e.originalEvent || {};
+    if (original.button > 0) return;
+    const lasso = !!original[`${this.config.lassoKey}Key`];
+    this.brush.begin(e.point, lasso ? 'lasso' : 'box');
+    window.addEventListener('mouseup', this._onWindowMouseUp);
+  }
+
+  /**
+   * Finish a brush and report what it covers
+   * @private
+   */
+  _handleMouseUp(e) {
+    if (!this.brush.active) return;
+
+    window.removeEventListener('mouseup', this._onWindowMouseUp);
+    this.brush.move(e.point);
+    const polygon = this.brush.end();
+    this._invalidate('style');
+    if (!polygon) return;
+
+    // The click ending the drag would otherwise change the selection
+    this.brushClickPending = true;
+
+    if (this._hasListeners('brush')) {
+      const cells = this.getCellsInPolygon(polygon);
+      const points = [];
+      for (const cell of cells) {
+        for (const entry of cell.pointsInside) points.push(entry);
+      }
+      this._emit('brush', { cells, points, polygon });
+    }
+  }
+
+  /**
+   * Brush mode turns dragging into brushing, so the map must not pan meanwhile
+   * @private
+   */
+  _setBrushInteraction(enabled) {
+    const dragPan = this.map && this.map.dragPan;
+    if (!dragPan) return;
+
+    if (enabled && !this.brushDisabledDragPan && dragPan.isEnabled()) {
+      dragPan.disable();
+      this.brushDisabledDragPan = true;
+    } else if (!enabled && this.brushDisabledDragPan) {
+      dragPan.enable();
+      this.brushDisabledDragPan = false;
+    }
+    if (!enabled) this._cancelBrush();
+  }
+
+  /**
+   * Drop an in-progress brush
+   * @private
+   */
+  _cancelBrush() {
+    this.brush.cancel();
+    window.removeEventListener('mouseup', this._onWindowMouseUp);
   }
 
   // ============ Static Glyph Utilities ============
@@ -0,0 +1,96 @@
+/**
+ * CellStyle.js
+ * Stroke, gap, corner radius and empty-cell lattice options for drawn cells
+ *
+ * Per-cell properties may be static values or functions of the cell, so one
+ * style can be shared by every cell or driven by its values.
+ */
+
+export class CellStyle {
+  /**
+   * Default cell style
+   */
+  static DEFAULTS = {
+    stroke: null,
+    strokeWidth: 1,
+    gap: 0,
+    cornerRadius: 0,
+    background: null,
+    emptyStroke: null,
+    emptyStrokeWidth: 0.5,
+  };
+
+  /**
+   * Properties that may be given as `(cell) => value`
+   * The empty-cell lattice has no cell values, so its properties are static only.
+   */
+  static CELL_PROPERTIES = ['stroke', 'strokeWidth', 'gap', 'cornerRadius', 'background'];
+
+  /**
+   * Fill in defaults
+   * @param {Object} cellStyle - Style options
+   * @param {string|Array|Function} cellStyle.stroke - Outline color (CSS string or [r, g, b, a]; default: none)
+   * @param {number|Function} cellStyle.strokeWidth - Outline width in pixels (default: 1)
+   * @param {number|Function} cellStyle.gap - Pixels between neighbouring cells (default: 0)
+   * @param {number|Function} cellStyle.cornerRadius - Corner rounding in pixels (default: 0)
+   * @param {string|Array|boolean|Function} cellStyle.background - Glyph mode only: fill behind each glyph;
+   *   `true` uses the colorScale color (default: none)
+   * @param {string|Array} cellStyle.emptyStroke - Lattice color for empty cells (default: none)
+   * @param {number} cellStyle.emptyStrokeWidth - Lattice width in pixels (default: 0.5)
+   * @returns {Object} Complete style, with `dataDriven` set when any property is a function
+   */
+  static normalize(cellStyle) {
+    const style = { ...CellStyle.DEFAULTS, ...cellStyle };
+    style.dataDriven = CellStyle.CELL_PROPERTIES.some((key) => typeof style[key] === 'function');
+    return style;
+  }
+
+  /**
+   * Evaluate a data-driven style for one cell
+   * @param {Object} style - Result from normalize()
+   * @param {Object} cell - Cell info passed to style functions
+   * @returns {Object} Style with static values
+   */
+  static forCell(style, cell) {
+    if (!style.dataDriven) return style;
+
+    const resolved = { ...style };
+    for (const key of CellStyle.CELL_PROPERTIES) {
+      if (typeof style[key] !== 'function') continue;
+      try {
+        resolved[key] = style[key](cell);
+      } catch (e) {
+        console.error(`Error in cellStyle.${key} callback:`, e);
+        resolved[key] = CellStyle.DEFAULTS[key];
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Convert a style color to a CSS color
+   * @param {string|Array} color - CSS string or [r, g, b, a] with alpha 0-255
+   * @returns {string|null} CSS color, or null for no color
+   */
+  static toCss(color) {
+    if (!color) return null;
+    if (Array.isArray(color)) {
+      const [r, g, b, a = 255] = color;
+      return `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+    }
+    return color;
+  }
+
+  /**
+   * Stroke the current path with the style's outline, if any
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} style - Static style
+   */
+  static stroke(ctx, style) {
+    const color = CellStyle.toCss(style.stroke);
+    if (!color || !(style.strokeWidth > 0)) return;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = style.strokeWidth;
+    ctx.stroke();
+  }
+}
@@ -3,6 +3,12 @@
  * Canvas drawing logic for grid cells
  */
 
+import { GridGeometry } from '../core/GridGeometry.js';
+import { Aggregator } from '../core/Aggregator.js';
+import { Bivariate } from '../core/Bivariate.js';
+import { CellEncoding } from '../core/CellEncoding.js';
+import { CellStyle } from './CellStyle.js';
+
 export class Renderer {
   constructor() {}
 
@@ -15,6 +21,14 @@ export class Renderer {
    * @param {boolean} config.enableGlyphs - Enable glyph rendering
    * @param {Function} config.onDrawCell - Custom glyph drawing callback
    * @param {number} config.glyphSize - Glyph size factor
+   * @param {number} config.opacity - Opacity of the cells, 0-1 (default: 1)
+   * @param {string} config.colorBy - Named aggregate to color by (default: summed weight)
+   * @param {Object} config.scale - Resolved value scale from Scales.resolve() (default: value / viewport max)
+   * @param {Object} config.bivariate - Resolved bivariate mapping from Bivariate.resolve(); replaces
+   *   colorScale for filled cells
+   * @param {Object} config.cellEncoding - Resolved encoding from CellEncoding.resolve(); scales the
+   *   filled shape (value-by-size) or its alpha (value-by-alpha)
+   * @param {Object} config.cellStyle - Stroke, gap, corner radius and empty-cell lattice (see CellStyle)
    */
   static render(aggregationResult, ctx, config) {
     if (!aggregationResult || !ctx) {
@@ -22,86 +36,363 @@ export class Renderer {
       return;
     }
 
-    const { grid, cellData, cols, rows, cellSizePixels } = aggregationResult;
-    const { colorScale, enableGlyphs, onDrawCell, glyphSize } = config;
+    const { grid, cols, rows } = aggregationResult;
+    const { colorScale, enableGlyphs, onDrawCell, glyphSize, colorBy, scale, bivariate, cellEncoding } = config;
+    const style = config.cellStyle ? CellStyle.normalize(config.cellStyle) : null;
+    const values = Aggregator.getValues(aggregationResult, colorBy);
 
-    const maxVal = Math.max(...grid);
-    if (maxVal === 0) {
-      console.log('No data to render (max value is 0)');
-      return;
+    // Cleared even when nothing is drawn, so overlays drawn afterwards do not pile up
+    ctx.clearRect(0, 0, aggregationResult.width, aggregationResult.height);
+
+    let maxVal = 0;
+    let drawable = 0;
+    for (let i = 0; i < grid.length; i++) {
+      if (grid[i] > 0 && !isNaN(values[i])) {
+        drawable++;
+        if (values[i] > maxVal) maxVal = values[i];
+      }
     }
+    // Without a scale, values are divided by the max, which must be positive; bivariate
+    // colors come from their own two fields, so any drawable cell is drawn
+    if (scale || bivariate ? drawable === 0 : maxVal === 0) return;
 
-    // console.log('Rendering grid:', {
-    //   cols,
-    //   rows,
-    //   maxVal,
-    //   cellsWithData: grid.filter((v) => v > 0).length,
-    //   enableGlyphs,
-    // });
+    ctx.save();
+    ctx.globalAlpha = config.opacity != null ? config.opacity : 1;
 
-    // Clear canvas
-    const dpr = window.devicePixelRatio || 1;
-    ctx.clearRect(0, 0, aggregationResult.width, aggregationResult.height);
+    if (style && style.emptyStroke) {
+      Renderer._drawEmptyLattice(ctx, aggregationResult, values, style);
+    }
+
+    const glyphPass = enableGlyphs && onDrawCell ? Renderer._glyphPass(aggregationResult) : null;
 
     // Render each cell
     for (let r = 0; r < rows; r++) {
       for (let c = 0; c < cols; c++) {
         const idx = r * cols + c;
-        const val = grid[idx];
+        const val = values[idx];
 
-        if (val > 0) {
-          const x = c * cellSizePixels;
-          const y = r * cellSizePixels;
-          const normVal = val / maxVal;
+        if (grid[idx] > 0 && !isNaN(val)) {
+          const normVal = scale ? scale.normalize(val) : maxVal > 0 ? val / maxVal : 0;
+          const cellStyle = style && style.dataDriven
+            ? CellStyle.forCell(style, Renderer._styleCell(aggregationResult, c, r, val, normVal))
+            : style;
 
-          if (enableGlyphs && onDrawCell) {
+          if (glyphPass) {
+            if (cellStyle) {
+              Renderer._drawGlyphBackground(ctx, aggregationResult, c, r, normVal, colorScale, cellStyle);
+            }
             // Draw custom glyph
             Renderer._drawGlyph(
               ctx,
-              x,
-              y,
-              cellSizePixels,
+              aggregationResult,
+              c,
+              r,
               normVal,
               glyphSize,
               onDrawCell,
-              cellData[idx]
+              glyphPass
             );
           } else {
-            // Draw colored rectangle
-            Renderer._drawCell(ctx, x, y, cellSizePixels, normVal, colorScale);
+            // Bivariate cells missing either value are left empty
+            const rgba = bivariate ? Bivariate.getCellColor(bivariate, idx) : colorScale(normVal);
+            if (rgba) Renderer._drawCell(ctx, aggregationResult, c, r, rgba, cellEncoding, cellStyle);
           }
         }
       }
     }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw hover and selection highlights over rendered cells
+   * @param {Object} aggregationResult - Result from Aggregator.aggregate()
+   * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+   * @param {Object} highlights - What to highlight
+   * @param {number} highlights.hoveredIndex - Hovered cell index, or -1
+   * @param {Set|Array} highlights.selectedIndices - Selected cell indices
+   * @param {Object} highlights.hoverStyle - {fill, stroke, strokeWidth, cornerRadius}; null draws no hover
+   * @param {Object} highlights.selectionStyle - Same fields as hoverStyle, for selected cells
+   */
+  static renderHighlights(aggregationResult, ctx, highlights) {
+    if (!aggregationResult || !ctx) return;
+
+    const { hoveredIndex = -1, selectedIndices = [], hoverStyle, selectionStyle } = highlights;
+
+    if (selectionStyle) {
+      for (const idx of selectedIndices) {
+        Renderer._drawHighlight(ctx, aggregationResult, idx, selectionStyle);
+      }
+    }
+    // Hover is drawn last so it stays visible on selected cells
+    if (hoverStyle && hoveredIndex >= 0 && aggregationResult.grid[hoveredIndex] > 0) {
+      Renderer._drawHighlight(ctx, aggregationResult, hoveredIndex, hoverStyle);
+    }
+  }
+
+  /**
+   * Draw an in-progress brush outline
+   * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+   * @param {Array} polygon - Vertices [[x, y], ...]
+   * @param {Object} style - {fill, stroke, strokeWidth, dash}
+   */
+  static renderBrush(ctx, polygon, style) {
+    if (!ctx || !polygon || polygon.length < 2) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(polygon[0][0], polygon[0][1]);
+    for (let i = 1; i < polygon.length; i++) {
+      ctx.lineTo(polygon[i][0], polygon[i][1]);
+    }
+    ctx.closePath();
+
+    const fill = CellStyle.toCss(style.fill);
+    if (fill) {
+      ctx.fillStyle = fill;
+      ctx.fill();
+    }
+    if (style.dash && ctx.setLineDash) ctx.setLineDash(style.dash);
+    CellStyle.stroke(ctx, style);
+    ctx.restore();
+  }
+
+  /**
+   * Draw a magnifier lens over the grid
+   * The lens circle is cleared and its cells are drawn clipped to it, so the grid under the
+   * lens is replaced rather than overdrawn.
+   * @param {Object} lensResult - Result from Lens.aggregate()
+   * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+   * @param {Object} config - Render configuration, as for render()
+   * @param {Object} style - {stroke, strokeWidth} of the lens outline
+   */
+  static renderLens(lensResult, ctx, config, style = {}) {
+    if (!lensResult || !ctx) return;
+
+    const { offsetX, offsetY, radius } = lensResult;
+    const centerX = offsetX + radius;
+    const centerY = offsetY + radius;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.clearRect(offsetX, offsetY, radius * 2, radius * 2);
+    if (lensResult.pointIndices.length > 0) {
+      ctx.translate(offsetX, offsetY);
+      Renderer.render(lensResult, ctx, config);
+    }
+    ctx.restore();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    CellStyle.stroke(ctx, style);
+    ctx.restore();
+  }
+
+  /**
+   * Fill and outline one highlighted cell
+   * @private
+   */
+  static _drawHighlight(ctx, layout, idx, style) {
+    const col = idx % layout.cols;
+    const row = Math.floor(idx / layout.cols);
+    const strokeWidth = style.strokeWidth > 0 ? style.strokeWidth : 0;
+
+    ctx.beginPath();
+    // Keep the outline inside the cell so neighbouring cells do not cover it
+    GridGeometry.traceCell(ctx, layout, col, row, strokeWidth / 2, style.cornerRadius || 0);
+
+    const fill = CellStyle.toCss(style.fill);
+    if (fill) {
+      ctx.fillStyle = fill;
+      ctx.fill();
+    }
+    CellStyle.stroke(ctx, style);
+  }
+
+  /**
+   * Draw a colored cell, applying the value-by-size or value-by-alpha encoding and the cell style if any
+   * @private
+   */
+  static _drawCell(ctx, layout, col, row, rgba, cellEncoding, style) {
+    let factor = 1;
+    let circle = false;
+    if (cellEncoding) {
+      factor = CellEncoding.getCellFactor(cellEncoding, row * layout.cols + col);
+      if (factor === null || factor <= 0) return;
+
+      if (cellEncoding.type === 'alpha') {
+        rgba = [rgba[0], rgba[1], rgba[2], rgba[3] * Math.min(1, factor)];
+        factor = 1;
+      } else {
+        circle = cellEncoding.shape === 'circle';
+      }
+    }
+
+    if (!style && factor === 1) {
+      Renderer._fillCell(ctx, layout, col, row, rgba);
+      return;
+    }
+
+    const [rC, gC, bC, aC] = rgba;
+    ctx.fillStyle = `rgba(${rC}, ${gC}, ${bC}, ${aC / 255})`;
+    ctx.beginPath();
+    Renderer._traceShape(ctx, layout, col, row, factor, circle, style);
+    ctx.fill();
+    if (style) CellStyle.stroke(ctx, style);
+  }
+
+  /**
+   * Trace a cell, shrunk by an encoding factor and the style's gap
+   * @private
+   */
+  static _traceShape(ctx, layout, col, row, factor, circle, style) {
+    const gap = style ? Math.max(0, style.gap) / 2 : 0;
+    // Half the cell size is the inscribed radius for square, adaptive and hex cells
+    const cellSize = GridGeometry.cellSizeAt(layout, col, row);
+    const inset = ((1 - factor) * cellSize) / 2 + gap;
+
+    if (circle) {
+      const center = GridGeometry.cellCenter(layout, col, row);
+      ctx.arc(center.x, center.y, Math.max(0, cellSize / 2 - inset), 0, Math.PI * 2);
+    } else {
+      GridGeometry.traceCell(ctx, layout, col, row, inset, style ? style.cornerRadius : 0);
+    }
+  }
+
+  /**
+   * Fill and outline the cell behind a glyph
+   * @private
+   */
+  static _drawGlyphBackground(ctx, layout, col, row, normVal, colorScale, style) {
+    const background = style.background === true ? colorScale(normVal) : style.background;
+    const fill = CellStyle.toCss(background);
+    const hasStroke = style.stroke && style.strokeWidth > 0;
+    if (!fill && !hasStroke) return;
+
+    ctx.beginPath();
+    Renderer._traceShape(ctx, layout, col, row, 1, false, style);
+    if (fill) {
+      ctx.fillStyle = fill;
+      ctx.fill();
+    }
+    CellStyle.stroke(ctx, style);
+  }
+
+  /**
+   * Outline every empty cell in one path
+   * @private
+   */
+  static _drawEmptyLattice(ctx, layout, values, style) {
+    const { grid, cols, rows } = layout;
+    // Data-driven gap and radius have no value for empty cells
+    const gap = typeof style.gap === 'number' ? Math.max(0, style.gap) / 2 : 0;
+    const cornerRadius = typeof style.cornerRadius === 'number' ? style.cornerRadius : 0;
+
+    ctx.beginPath();
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const idx = r * cols + c;
+        if (grid[idx] > 0 && !isNaN(values[idx])) continue;
+        GridGeometry.traceCell(ctx, layout, c, r, gap, cornerRadius);
+      }
+    }
+    ctx.strokeStyle = CellStyle.toCss(style.emptyStroke);
+    ctx.lineWidth = style.emptyStrokeWidth;
+    ctx.stroke();
   }
 
   /**
-   * Draw a colored cell
+   * Cell info passed to data-driven cellStyle functions
    * @private
    */
-  static _drawCell(ctx, x, y, size, normVal, colorScale) {
-    const [rC, gC, bC, aC] = colorScale(normVal);
+  static _styleCell(aggregationResult, col, row, value, normalizedValue) {
+    const index = row * aggregationResult.cols + col;
+    return {
+      index,
+      col,
+      row,
+      value,
+      normalizedValue,
+      pointCount: Aggregator.getCellPointCount(aggregationResult, index),
+      // Only computed if a style function reads them
+      get aggregates() {
+        return Aggregator.getCellAggregates(aggregationResult, index);
+      },
+    };
+  }
+
+  /**
+   * Fill a cell with an RGBA color
+   * @private
+   */
+  static _fillCell(ctx, layout, col, row, rgba) {
+    const [rC, gC, bC, aC] = rgba;
     ctx.fillStyle = `rgba(${rC}, ${gC}, ${bC}, ${aC / 255})`;
-    ctx.fillRect(x, y, size, size);
+
+    if (layout.gridType === 'hex') {
+      ctx.beginPath();
+      GridGeometry.traceCell(ctx, layout, col, row);
+      ctx.fill();
+    } else {
+      const { x, y, width, height } = GridGeometry.cellBounds(layout, col, row);
+      ctx.fillRect(x, y, width, height);
+    }
+  }
+
+  /**
+   * State shared by every glyph of one render pass
+   * The cell extents used for `partial` are read once; they only vary per cell in adaptive grids.
+   * @private
+   */
+  static _glyphPass(aggregationResult) {
+    const extents =
+      aggregationResult.gridType === 'adaptive' ? null : GridGeometry.cellBounds(aggregationResult, 0, 0);
+    return {
+      halfWidth: extents ? extents.width / 2 : 0,
+      halfHeight: extents ? extents.height / 2 : 0,
+    };
   }
 
   /**
    * Draw a custom glyph
    * @private
    */
-  static _drawGlyph(ctx, x, y, cellSize, normVal, glyphSize, onDrawCell, cellDataArray) {
-    const cellCenterX = x + cellSize / 2;
-    const cellCenterY = y + cellSize / 2;
+  static _drawGlyph(ctx, aggregationResult, col, row, normVal, glyphSize, onDrawCell, pass) {
+    const cellSize = GridGeometry.cellSizeAt(aggregationResult, col, row);
+    const center = GridGeometry.cellCenter(aggregationResult, col, row);
+    // cellSize / 2 is the inscribed radius for both square and hex cells
     const glyphRadius = (cellSize * glyphSize) / 2;
+    const index = row * aggregationResult.cols + col;
+    const halfWidth = pass.halfWidth || cellSize / 2;
+    const halfHeight = pass.halfHeight || cellSize / 2;
 
     ctx.save();
 
     try {
-      onDrawCell(ctx, cellCenterX, cellCenterY, normVal, {
-        cellData: cellDataArray,
+      onDrawCell(ctx, center.x, center.y, normVal, {
+        // Entries are only materialized if the callback reads them
+        get cellData() {
+          return aggregationResult.cellData[index];
+        },
+        pointCount: Aggregator.getCellPointCount(aggregationResult, index),
         cellSize,
         glyphRadius,
         normalizedValue: normVal,
+        col,
+        row,
+        index,
+        value: aggregationResult.grid[index],
+        aggregates: Aggregator.getCellAggregates(aggregationResult, index),
+        gridType: aggregationResult.gridType,
+        // World-anchored and hex grids have cells clipped by the viewport edges
+        partial:
+          center.x - halfWidth < 0 ||
+          center.y - halfHeight < 0 ||
+          center.x + halfWidth > aggregationResult.width ||
+          center.y + halfHeight > aggregationResult.height,
       });
     } catch (e) {
       console.error('Error in onDrawCell callback:', e);
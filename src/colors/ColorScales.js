@@ -0,0 +1,398 @@
+/**
+ * ColorScales.js
+ * Named color palettes that produce ready-to-use `colorScale` functions
+ *
+ * Sequential and diverging palettes are interpolated in OKLab, a perceptually
+ * uniform color space, so equal steps in value read as equal steps in color.
+ * Categorical palettes are not interpolated: [0, 1] is split into one band per color.
+ *
+ * Every scale returned by create() is a plain `(normalizedValue) => [r, g, b, a]`
+ * function that also carries a `palette` description for legends.
+ */
+
+export class ColorScales {
+  /**
+   * Built-in palettes: {name: {type, colors}}
+   * Sequential and diverging colors run from low to high values.
+   */
+  static PALETTES = {
+    // Perceptually uniform sequential
+    viridis: {
+      type: 'sequential',
+      colors: ['#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c', '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725'],
+    },
+    magma: {
+      type: 'sequential',
+      colors: ['#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779', '#de4968', '#f7705c', '#fe9f6d', '#fecf92', '#fcfdbf'],
+    },
+    inferno: {
+      type: 'sequential',
+      colors: ['#000004', '#160b39', '#420a68', '#6a176e', '#932667', '#bc3754', '#dd513a', '#f37819', '#fca50a', '#f6d746', '#fcffa4'],
+    },
+    plasma: {
+      type: 'sequential',
+      colors: ['#0d0887', '#41049d', '#6a00a8', '#8f0da4', '#b12a90', '#cc4778', '#e16462', '#f2844b', '#fca636', '#fcce25', '#f0f921'],
+    },
+    cividis: {
+      type: 'sequential',
+      colors: ['#00204d', '#00336f', '#39486b', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#ffea46'],
+    },
+
+    // ColorBrewer sequential
+    Blues: {
+      type: 'sequential',
+      colors: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+    },
+    Greens: {
+      type: 'sequential',
+      colors: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'],
+    },
+    Reds: {
+      type: 'sequential',
+      colors: ['#fff5f0', '#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d'],
+    },
+    Oranges: {
+      type: 'sequential',
+      colors: ['#fff5eb', '#fee6ce', '#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#a63603', '#7f2704'],
+    },
+    Purples: {
+      type: 'sequential',
+      colors: ['#fcfbfd', '#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d'],
+    },
+    YlOrRd: {
+      type: 'sequential',
+      colors: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'],
+    },
+    YlGnBu: {
+      type: 'sequential',
+      colors: ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58'],
+    },
+
+    // ColorBrewer diverging
+    RdBu: {
+      type: 'diverging',
+      colors: ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061'],
+    },
+    RdYlBu: {
+      type: 'diverging',
+      colors: ['#a50026', '#d73027', '#f46d43', '#fdae61', '#fee090', '#ffffbf', '#e0f3f8', '#abd9e9', '#74add1', '#4575b4', '#313695'],
+    },
+    PiYG: {
+      type: 'diverging',
+      colors: ['#8e0152', '#c51b7d', '#de77ae', '#f1b6da', '#fde0ef', '#f7f7f7', '#e6f5d0', '#b8e186', '#7fbc41', '#4d9221', '#276419'],
+    },
+    BrBG: {
+      type: 'diverging',
+      colors: ['#543005', '#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e', '#003c30'],
+    },
+    Spectral: {
+      type: 'diverging',
+      colors: ['#9e0142', '#d53e4f', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#e6f598', '#abdda4', '#66c2a5', '#3288bd', '#5e4fa2'],
+    },
+
+    // Categorical
+    category10: {
+      type: 'categorical',
+      colors: ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'],
+    },
+    tableau10: {
+      type: 'categorical',
+      colors: ['#4e79a7', '#f28e2c', '#e15759', '#76b7b2', '#59a14f', '#edc949', '#af7aa1', '#ff9da7', '#9c755f', '#bab0ab'],
+    },
+    Set2: {
+      type: 'categorical',
+      colors: ['#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3'],
+    },
+    Dark2: {
+      type: 'categorical',
+      colors: ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666'],
+    },
+  };
+
+  /**
+   * Built-in bivariate palettes, defined by their four corner colors
+   * `low` is low/low, `x` high x only, `y` high y only, `high` high/high.
+   */
+  static BIVARIATE_PALETTES = {
+    pinkBlue: { low: '#e8e8e8', x: '#5ac8c8', y: '#be64ac', high: '#3b4994' },
+    greenBlue: { low: '#e8e8e8', x: '#6c83b5', y: '#73ae80', high: '#2a5a5b' },
+    purpleGold: { low: '#e8e8e8', x: '#c8b35a', y: '#9972af', high: '#804d36' },
+    blueRed: { low: '#e8e8e8', x: '#6c9fc7', y: '#d77a6b', high: '#7a3a5e' },
+  };
+
+  /**
+   * Create a 2D color lookup for bivariate maps
+   * @param {string|Array} palette - Bivariate palette name (see BIVARIATE_PALETTES), or a
+   *   bins x bins array of colors indexed [yClass][xClass] with [0][0] the low/low color
+   * @param {Object} options - Options
+   * @param {number} options.bins - Classes per axis, e.g. 3 or 4 (default: 3; ignored for color arrays)
+   * @param {number} options.alpha - Alpha 0-255 (default: 255)
+   * @returns {Function} `(xClass, yClass) => [r, g, b, a]` with a `palette` property:
+   *   {name, bins, colors} where colors[yClass][xClass] are hex strings
+   * @throws {Error} If the palette name is unknown
+   */
+  static createBivariate(palette, options = {}) {
+    const { alpha = 255 } = options;
+
+    let name = null;
+    let grid;
+    if (typeof palette === 'string') {
+      const corners = ColorScales.BIVARIATE_PALETTES[palette];
+      if (!corners) {
+        throw new Error(`Unknown bivariate palette "${palette}"`);
+      }
+      name = palette;
+      grid = ColorScales._bilinear(corners, options.bins || 3);
+    } else {
+      grid = palette.map((row) => row.map((c) => ColorScales.parseColor(c)));
+    }
+
+    const bins = grid.length;
+    const colorAt = (xClass, yClass) => {
+      const rgb = grid[Math.max(0, Math.min(bins - 1, yClass))][Math.max(0, Math.min(bins - 1, xClass))];
+      return [rgb[0], rgb[1], rgb[2], alpha];
+    };
+
+    colorAt.palette = {
+      name,
+      bins,
+      colors: grid.map((row) => row.map((rgb) => ColorScales.toHex(rgb))),
+    };
+
+    return colorAt;
+  }
+
+  /**
+   * Create a colorScale function from a named palette or a list of colors
+   * @param {string|Array} palette - Palette name (see PALETTES) or colors as hex strings / [r, g, b] arrays
+   * @param {Object} options - Scale options
+   * @param {boolean} options.reverse - Reverse the palette (default: false)
+   * @param {number|Function} options.alpha - Alpha 0-255, or `(normalizedValue) => alpha` (default: 255)
+   * @param {string} options.type - Palette type for custom colors: 'sequential', 'diverging' or 'categorical'
+   *   (default: 'sequential')
+   * @returns {Function} `(normalizedValue) => [r, g, b, a]` with a `palette` property:
+   *   {name, type, colors, reverse, interpolation}
+   * @throws {Error} If the palette name is unknown
+   */
+  static create(palette, options = {}) {
+    const { reverse = false, alpha = 255 } = options;
+
+    let name = null;
+    let type = options.type || 'sequential';
+    let colors;
+    if (typeof palette === 'string') {
+      const definition = ColorScales.PALETTES[palette];
+      if (!definition) {
+        throw new Error(`Unknown color palette "${palette}"`);
+      }
+      name = palette;
+      type = definition.type;
+      colors = definition.colors;
+    } else {
+      colors = palette;
+    }
+
+    const rgbs = colors.map((c) => ColorScales.parseColor(c));
+    if (reverse) rgbs.reverse();
+
+    const lookup = type === 'categorical' ? null : ColorScales._buildLookup(rgbs);
+    const alphaAt = typeof alpha === 'function' ? alpha : () => alpha;
+
+    const colorScale = (v) => {
+      const t = isNaN(v) ? 0 : Math.max(0, Math.min(1, v));
+      let rgb;
+      if (lookup) {
+        rgb = lookup[Math.round(t * (lookup.length - 1))];
+      } else {
+        rgb = rgbs[Math.min(rgbs.length - 1, Math.floor(t * rgbs.length))];
+      }
+      return [rgb[0], rgb[1], rgb[2], alphaAt(v)];
+    };
+
+    colorScale.palette = {
+      name,
+      type,
+      colors: rgbs.map((rgb) => ColorScales.toHex(rgb)),
+      reverse,
+      interpolation: lookup ? 'oklab' : 'none',
+    };
+
+    return colorScale;
+  }
+
+  /**
+   * List the built-in palette names
+   * @param {string} type - Only list 'sequential', 'diverging' or 'categorical' palettes (default: all)
+   * @returns {Array<string>} Palette names
+   */
+  static list(type = null) {
+    return Object.keys(ColorScales.PALETTES).filter(
+      (name) => !type || ColorScales.PALETTES[name].type === type
+    );
+  }
+
+  /**
+   * Sample a colorScale into CSS colors, e.g. for a gradient
+   * @param {Function} colorScale - Any `(normalizedValue) => [r, g, b, a]` function
+   * @param {number} steps - Number of samples (default: 10)
+   * @returns {Array<string>} rgba() strings from 0 to 1
+   */
+  static sample(colorScale, steps = 10) {
+    const out = [];
+    for (let i = 0; i < steps; i++) {
+      const t = steps > 1 ? i / (steps - 1) : 0;
+      const [r, g, b, a] = colorScale(t);
+      out.push(`rgba(${r}, ${g}, ${b}, ${a / 255})`);
+    }
+    return out;
+  }
+
+  /**
+   * Interpolate two colors in OKLab
+   * @param {Array} a - [r, g, b] 0-255
+   * @param {Array} b - [r, g, b] 0-255
+   * @param {number} t - Position in [0, 1]
+   * @returns {Array} [r, g, b] 0-255
+   */
+  static interpolate(a, b, t) {
+    const la = ColorScales.rgbToOklab(a);
+    const lb = ColorScales.rgbToOklab(b);
+    return ColorScales.oklabToRgb([
+      la[0] + (lb[0] - la[0]) * t,
+      la[1] + (lb[1] - la[1]) * t,
+      la[2] + (lb[2] - la[2]) * t,
+    ]);
+  }
+
+  /**
+   * Parse a hex string ('#rgb' or '#rrggbb') or [r, g, b] array
+   * @param {string|Array} color - Color
+   * @returns {Array} [r, g, b] 0-255
+   */
+  static parseColor(color) {
+    if (Array.isArray(color)) return color.slice(0, 3);
+
+    let hex = color.replace('#', '');
+    if (hex.length === 3) {
+      hex = hex.split('').map((c) => c + c).join('');
+    }
+    const n = parseInt(hex, 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+
+  /**
+   * Format [r, g, b] as '#rrggbb'
+   * @param {Array} rgb - [r, g, b] 0-255
+   * @returns {string} Hex color
+   */
+  static toHex(rgb) {
+    return '#' + rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Convert sRGB to OKLab
+   * @param {Array} rgb - [r, g, b] 0-255
+   * @returns {Array} [L, a, b]
+   */
+  static rgbToOklab(rgb) {
+    const [r, g, b] = rgb.map((c) => ColorScales._toLinear(c / 255));
+
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return [
+      0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+    ];
+  }
+
+  /**
+   * Convert OKLab to sRGB
+   * @param {Array} lab - [L, a, b]
+   * @returns {Array} [r, g, b] 0-255, rounded and clamped
+   */
+  static oklabToRgb(lab) {
+    const [L, A, B] = lab;
+    const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+    const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+    const s = (L - 0.0894841775 * A - 1.291485548 * B) ** 3;
+
+    const linear = [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+    ];
+
+    return linear.map((c) => Math.round(255 * Math.max(0, Math.min(1, ColorScales._fromLinear(c)))));
+  }
+
+  /**
+   * Bilinearly interpolate four corner colors into a bins x bins grid in OKLab
+   * @private
+   */
+  static _bilinear(corners, bins) {
+    const [low, x, y, high] = [corners.low, corners.x, corners.y, corners.high].map((c) =>
+      ColorScales.rgbToOklab(ColorScales.parseColor(c))
+    );
+    const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+
+    const grid = [];
+    for (let j = 0; j < bins; j++) {
+      const ty = bins > 1 ? j / (bins - 1) : 0;
+      const row = [];
+      for (let i = 0; i < bins; i++) {
+        const tx = bins > 1 ? i / (bins - 1) : 0;
+        row.push(ColorScales.oklabToRgb(mix(mix(low, x, tx), mix(y, high, tx), ty)));
+      }
+      grid.push(row);
+    }
+    return grid;
+  }
+
+  /**
+   * Precompute 256 interpolated colors so scales are cheap per cell
+   * @private
+   */
+  static _buildLookup(rgbs) {
+    const size = 256;
+    const lookup = new Array(size);
+    const labs = rgbs.map((rgb) => ColorScales.rgbToOklab(rgb));
+    const segments = labs.length - 1;
+
+    for (let i = 0; i < size; i++) {
+      if (segments === 0) {
+        lookup[i] = rgbs[0];
+        continue;
+      }
+      const pos = (i / (size - 1)) * segments;
+      const k = Math.min(segments - 1, Math.floor(pos));
+      const t = pos - k;
+      const a = labs[k];
+      const b = labs[k + 1];
+      lookup[i] = ColorScales.oklabToRgb([
+        a[0] + (b[0] - a[0]) * t,
+        a[1] + (b[1] - a[1]) * t,
+        a[2] + (b[2] - a[2]) * t,
+      ]);
+    }
+    return lookup;
+  }
+
+  /**
+   * sRGB transfer function: encoded → linear
+   * @private
+   */
+  static _toLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * sRGB transfer function: linear → encoded
+   * @private
+   */
+  static _fromLinear(c) {
+    return c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  }
+}
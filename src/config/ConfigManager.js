@@ -3,37 +3,159 @@
  * Centralized configuration management with defaults
  */
 
+import { DataSource } from '../core/DataSource.js';
+import { ColorScales } from '../colors/ColorScales.js';
+import { ZoomExpression } from '../core/ZoomExpression.js';
+
 export class ConfigManager {
   static DEFAULT_CONFIG = {
     id: 'screen-grid-layer',
     data: [],
     getPosition: (d) => d.coordinates,
     getWeight: (d) => 1,
+    getId: null,
     cellSizePixels: 50,
+    gridType: 'square',
+    hexOrientation: 'pointy',
+    gridAnchor: 'viewport',
     colorScale: (v) => [255 * v, 100, 200, 200],
+    scale: null,
+    bivariate: null,
+    cellEncoding: null,
+    cellStyle: null,
+    aggregations: null,
+    colorBy: null,
     onAggregate: null,
     onHover: null,
     onClick: null,
+    onHoverEnd: null,
+    onSelectionChange: null,
+    hoverThrottle: 0,
+    longPressDuration: 500,
+    hoverStyle: null,
+    selectable: false,
+    selectionStyle: { stroke: '#ffd400', strokeWidth: 2, fill: null },
+    brush: false,
+    lassoKey: 'alt',
+    brushStyle: { fill: 'rgba(33, 150, 243, 0.12)', stroke: '#2196f3', strokeWidth: 1.5, dash: [4, 3] },
+    onBrush: null,
+    drillDown: false,
+    lens: null,
+    onDrillDown: null,
+    onDrillUp: null,
     onDrawCell: null,
     enableGlyphs: false,
     glyphSize: 0.8,
+    opacity: 1,
     adaptiveCellSize: false,
     minCellSize: 20,
     maxCellSize: 100,
     zoomBasedSize: false,
+    viewportCulling: true,
+    cullingMargin: 64,
+    useWorker: false,
+    workerUrl: null,
     enabled: true,
   };
 
+  /**
+   * Highlight style used when `hoverStyle` is `true`
+   */
+  static DEFAULT_HOVER_STYLE = { stroke: 'rgba(255, 255, 255, 0.9)', strokeWidth: 2, fill: null };
+
+  /**
+   * Drill-down settings used when `drillDown` is `true`; objects are merged over these
+   */
+  static DEFAULT_DRILL_DOWN = { cellSizeFactor: 0.5, minCellSize: 5, padding: 20, duration: 1000 };
+
+  /**
+   * Adaptive cell settings used when `adaptiveCellSize` is `true`; objects are merged over these
+   */
+  static DEFAULT_ADAPTIVE_CELLS = { threshold: 50 };
+
+  /**
+   * Numeric options that also accept zoom expressions (see ZoomExpression)
+   */
+  static ZOOM_OPTIONS = ['cellSizePixels', 'glyphSize', 'opacity', 'minCellSize', 'maxCellSize'];
+
+  /**
+   * Zoom at which `zoomBasedSize` uses cellSizePixels unchanged
+   */
+  static ZOOM_BASED_SIZE_BASE = 11;
+
+  /**
+   * Render pipeline stages, in order. Rerunning a stage reruns every later one:
+   * data (indexes, worker copy) → projection → aggregation → style (redraw only).
+   */
+  static PIPELINE_STAGES = ['data', 'projection', 'aggregation', 'style'];
+
+  /**
+   * First pipeline stage affected by each option
+   * Options not listed (callbacks, id, worker settings) do not invalidate any stage.
+   */
+  static OPTION_STAGES = {
+    data: 'data',
+    getPosition: 'data',
+    getWeight: 'data',
+    viewportCulling: 'projection',
+    cullingMargin: 'projection',
+    cellSizePixels: 'aggregation',
+    gridType: 'aggregation',
+    hexOrientation: 'aggregation',
+    gridAnchor: 'aggregation',
+    aggregations: 'aggregation',
+    adaptiveCellSize: 'aggregation',
+    minCellSize: 'aggregation',
+    maxCellSize: 'aggregation',
+    zoomBasedSize: 'aggregation',
+    colorScale: 'style',
+    scale: 'style',
+    bivariate: 'style',
+    cellEncoding: 'style',
+    cellStyle: 'style',
+    hoverStyle: 'style',
+    selectionStyle: 'style',
+    lens: 'style',
+    brushStyle: 'style',
+    lassoKey: 'style',
+    colorBy: 'style',
+    enableGlyphs: 'style',
+    glyphSize: 'style',
+    opacity: 'style',
+    onDrawCell: 'style',
+    enabled: 'style',
+  };
+
+  /**
+   * Find the earliest pipeline stage a set of option updates invalidates
+   * @param {Object} updates - Partial configuration updates
+   * @returns {string|null} Stage name from PIPELINE_STAGES, or null if nothing needs recomputing
+   */
+  static getInvalidatedStage(updates = {}) {
+    let earliest = -1;
+    for (const key in updates) {
+      const stage = ConfigManager.OPTION_STAGES[key];
+      if (!stage) continue;
+      const level = ConfigManager.PIPELINE_STAGES.indexOf(stage);
+      if (earliest === -1 || level < earliest) earliest = level;
+    }
+    return earliest === -1 ? null : ConfigManager.PIPELINE_STAGES[earliest];
+  }
+
   /**
    * Create configuration from user options merged with defaults
    * @param {Object} options - User-provided configuration
    * @returns {Object} Merged configuration
+   * @throws {Error} If a zoom expression is malformed or the cell size range is invalid
    */
   static create(options = {}) {
-    return {
+    ConfigManager._validateZoomOptions(options);
+    const config = ConfigManager._resolveShorthands({
       ...ConfigManager.DEFAULT_CONFIG,
       ...options,
-    };
+    });
+    ConfigManager._validateCellSizeRange(config);
+    return config;
   }
 
   /**
@@ -41,12 +163,119 @@ export class ConfigManager {
    * @param {Object} config - Current configuration
    * @param {Object} updates - Partial configuration updates
    * @returns {Object} Updated configuration
+   * @throws {Error} If a zoom expression is malformed or the cell size range is invalid
    */
   static update(config, updates = {}) {
-    return {
+    ConfigManager._validateZoomOptions(updates);
+    const updated = ConfigManager._resolveShorthands({
       ...config,
       ...updates,
-    };
+    });
+    ConfigManager._validateCellSizeRange(updated);
+    return updated;
+  }
+
+  /**
+   * Evaluate the zoom-dependent options at a zoom level
+   * With `zoomBasedSize`, a plain-number cellSizePixels is the size at ZOOM_BASED_SIZE_BASE,
+   * halved per zoom level in and clamped to [minCellSize, maxCellSize]. Opacity is clamped to [0, 1].
+   * @param {Object} config - Configuration
+   * @param {number} zoom - Map zoom
+   * @returns {Object} {cellSizePixels, glyphSize, opacity, minCellSize, maxCellSize} as numbers
+   * @throws {Error} If cellSizePixels at this zoom is not positive, or adaptiveCellSize or
+   *   zoomBasedSize is on and minCellSize and maxCellSize at this zoom are not 0 < min <= max
+   */
+  static resolveZoomOptions(config, zoom) {
+    const options = {};
+    for (const key of ConfigManager.ZOOM_OPTIONS) {
+      options[key] = ZoomExpression.evaluate(config[key], zoom);
+    }
+    if (!(options.cellSizePixels > 0)) {
+      throw new Error(`cellSizePixels must be positive, got ${options.cellSizePixels} at zoom ${zoom}`);
+    }
+    ConfigManager._validateCellSizeRange(config, options, zoom);
+    options.opacity = Math.min(1, Math.max(0, options.opacity));
+
+    if (config.zoomBasedSize && !ZoomExpression.isExpression(config.cellSizePixels)) {
+      const zoomFactor = Math.pow(2, zoom - ConfigManager.ZOOM_BASED_SIZE_BASE);
+      options.cellSizePixels = Math.max(
+        options.minCellSize,
+        Math.min(options.maxCellSize, options.cellSizePixels / zoomFactor)
+      );
+    }
+    return options;
+  }
+
+  /**
+   * Check the zoom expressions among option updates
+   * @private
+   * @throws {Error} If an expression is malformed
+   */
+  static _validateZoomOptions(options) {
+    for (const key of ConfigManager.ZOOM_OPTIONS) {
+      if (ZoomExpression.isExpression(options[key])) {
+        try {
+          ZoomExpression.validate(options[key]);
+        } catch (e) {
+          throw new Error(`${key}: ${e.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check that 0 < minCellSize <= maxCellSize when adaptiveCellSize or zoomBasedSize uses them
+   * Zoom expressions are skipped here and checked once resolved (see resolveZoomOptions).
+   * @private
+   * @param {Object} config - Configuration
+   * @param {Object} options - Values to check: the configuration or its resolved zoom options
+   * @param {number} zoom - Zoom the values were resolved at, for the message (optional)
+   * @throws {Error} If the range is invalid
+   */
+  static _validateCellSizeRange(config, options = config, zoom) {
+    if (!config.adaptiveCellSize && !config.zoomBasedSize) return;
+
+    const { minCellSize, maxCellSize } = options;
+    if (ZoomExpression.isExpression(minCellSize) || ZoomExpression.isExpression(maxCellSize)) return;
+
+    if (!(minCellSize > 0) || !(maxCellSize >= minCellSize)) {
+      const at = zoom != null ? ` at zoom ${zoom}` : '';
+      throw new Error(
+        `minCellSize and maxCellSize must satisfy 0 < minCellSize <= maxCellSize, got ${minCellSize} and ${maxCellSize}${at}`
+      );
+    }
+  }
+
+  /**
+   * Expand shorthand option values into their full form
+   * `colorScale` may be a palette name ('viridis') or {palette, reverse, alpha};
+   * `hoverStyle: true` uses DEFAULT_HOVER_STYLE; `drillDown` and `adaptiveCellSize`
+   * are merged over their defaults.
+   * @private
+   */
+  static _resolveShorthands(config) {
+    if (config.hoverStyle === true) {
+      config.hoverStyle = ConfigManager.DEFAULT_HOVER_STYLE;
+    }
+    if (config.drillDown === true) {
+      config.drillDown = ConfigManager.DEFAULT_DRILL_DOWN;
+    } else if (config.drillDown && typeof config.drillDown === 'object') {
+      config.drillDown = { ...ConfigManager.DEFAULT_DRILL_DOWN, ...config.drillDown };
+    }
+    if (config.adaptiveCellSize === true) {
+      config.adaptiveCellSize = ConfigManager.DEFAULT_ADAPTIVE_CELLS;
+    } else if (config.adaptiveCellSize && typeof config.adaptiveCellSize === 'object') {
+      config.adaptiveCellSize = { ...ConfigManager.DEFAULT_ADAPTIVE_CELLS, ...config.adaptiveCellSize };
+    }
+
+    const { colorScale } = config;
+    if (typeof colorScale === 'string') {
+      config.colorScale = ColorScales.create(colorScale);
+    } else if (colorScale && typeof colorScale === 'object' && colorScale.palette) {
+      const { palette, ...options } = colorScale;
+      config.colorScale = ColorScales.create(palette, options);
+    }
+    return config;
   }
 
   /**
@@ -58,11 +287,11 @@ export class ConfigManager {
     return (
       config &&
       typeof config === 'object' &&
-      Array.isArray(config.data) &&
+      (Array.isArray(config.data) || DataSource.isColumnar(config.data)) &&
       typeof config.getPosition === 'function' &&
       typeof config.getWeight === 'function' &&
-      typeof config.cellSizePixels === 'number' &&
-      config.cellSizePixels > 0
+      (ZoomExpression.isExpression(config.cellSizePixels) ||
+        (typeof config.cellSizePixels === 'number' && config.cellSizePixels > 0))
     );
   }
 }
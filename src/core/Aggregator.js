@@ -3,66 +3,460 @@
  * Pure business logic for aggregating points into grid cells
  */
 
+import { GridGeometry } from './GridGeometry.js';
+import { Reducers } from './Reducers.js';
+import { DataSource } from './DataSource.js';
+import { Mercator } from './Mercator.js';
+
 export class Aggregator {
   /**
    * Aggregate projected points into a grid
-   * @param {Array} projectedPoints - Array of {x, y, w} projected points
-   * @param {Array} originalData - Original data array for reference
+   *
+   * Cell membership is stored as compact typed arrays in a CSR layout: the points of
+   * cell `c` are pointIndices[cellOffsets[c]] .. pointIndices[cellOffsets[c + 1] - 1].
+   * `cellData` is a lazy view over that layout that builds the familiar
+   * [{data, index, weight, projectedX, projectedY}] entries only for cells that are read.
+   * @param {Array|Object} projectedPoints - Array of {x, y, w} projected points (null for
+   *   culled rows), or typed columns {length, x, y, w} as returned by Projector for columnar data
+   * @param {Array|Object} originalData - Original data (array or columnar) for reference
    * @param {number} width - Canvas width in pixels
    * @param {number} height - Canvas height in pixels
    * @param {number} cellSizePixels - Size of each grid cell
-   * @returns {Object} Aggregation result: {grid, cellData, cols, rows, width, height, cellSizePixels}
-   */
-  static aggregate(projectedPoints, originalData, width, height, cellSizePixels) {
-    const cols = Math.ceil(width / cellSizePixels);
-    const rows = Math.ceil(height / cellSizePixels);
-    const grid = new Array(rows * cols).fill(0);
-    const cellData = new Array(rows * cols).fill(null).map(() => []);
-
-    // console.log('Aggregating points:', {
-    //   totalPoints: projectedPoints.length,
-    //   canvasSize: { width, height },
-    //   cellSize: cellSizePixels,
-    //   gridSize: { cols, rows },
-    // });
-
-    // Aggregate points into grid cells
-    for (let i = 0; i < projectedPoints.length; i++) {
-      const p = projectedPoints[i];
-      const col = Math.floor(p.x / cellSizePixels);
-      const row = Math.floor(p.y / cellSizePixels);
-
-      // Bounds check
-      if (col >= 0 && col < cols && row >= 0 && row < rows) {
-        const idx = row * cols + col;
-        grid[idx] += p.w;
-
-        // Store original data point for glyph rendering
-        cellData[idx].push({
-          data: originalData[i],
-          weight: p.w,
-          projectedX: p.x,
-          projectedY: p.y,
-        });
+   * @param {Object} options - Grid options
+   * @param {string} options.gridType - 'square' or 'hex' (default: 'square')
+   * @param {string} options.hexOrientation - 'pointy' or 'flat' hexagons (default: 'pointy')
+   * @param {Object} options.origin - Lattice origin {x, y} for world-anchored grids (default: {x: 0, y: 0})
+   * @param {Object} options.aggregations - Named per-cell reducers: {name: {field, op}} (see Reducers)
+   * @returns {Object} Aggregation result: {grid, cellOffsets, pointIndices, xs, ys, ws, cellData,
+   *   aggregates, cols, rows, width, height, cellSizePixels, gridType, hexOrientation, originX, originY}
+   */
+  static aggregate(projectedPoints, originalData, width, height, cellSizePixels, options = {}) {
+    const { xs, ys, ws } = Aggregator._toColumns(projectedPoints);
+    const binned = Aggregator.binPoints(xs, ys, ws, width, height, cellSizePixels, options);
+
+    return Aggregator.fromBinned({ ...binned, xs, ys }, originalData, ws, options);
+  }
+
+  /**
+   * Bin typed-array points into cells, returning cell membership as index lists
+   *
+   * Needs no data objects, so it also runs inside the aggregation worker.
+   * @param {Float32Array|Array} xs - Projected X per point
+   * @param {Float32Array|Array} ys - Projected Y per point
+   * @param {Float32Array|Array} ws - Weight per point
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   * @param {number} cellSizePixels - Size of each grid cell
+   * @param {Object} options - Grid options (gridType, hexOrientation, origin, adaptive)
+   * @param {Object} options.adaptive - {minCellSize, maxCellSize, threshold} for a quadtree grid of
+   *   square cells; cellSizePixels is then unused (default: null)
+   * @returns {Object} Layout fields plus {grid, cellOffsets, pointIndices, width, height}
+   */
+  static binPoints(xs, ys, ws, width, height, cellSizePixels, options = {}) {
+    if (options.adaptive && options.gridType !== 'hex') {
+      return Aggregator._binAdaptive(xs, ys, ws, width, height, options);
+    }
+
+    const layout = GridGeometry.createLayout(width, height, cellSizePixels, options);
+    const cellCount = layout.cols * layout.rows;
+    // Edge cells of hex and world-anchored lattices can lie entirely off-screen
+    const visible = GridGeometry.visibleMask(layout, width, height);
+    const pointCount = xs.length;
+
+    const grid = new Float64Array(cellCount);
+    const cellOf = new Int32Array(pointCount);
+    const cellOffsets = new Uint32Array(cellCount + 1);
+
+    // First pass: assign cells and count members
+    let members = 0;
+    for (let i = 0; i < pointCount; i++) {
+      // NaN marks points that were culled or lie behind the camera
+      const idx = xs[i] === xs[i] ? GridGeometry.indexAt(layout, xs[i], ys[i]) : -1;
+      if (idx >= 0 && visible[idx]) {
+        cellOf[i] = idx;
+        grid[idx] += ws[i];
+        cellOffsets[idx + 1]++;
+        members++;
+      } else {
+        cellOf[i] = -1;
       }
     }
 
-    const cellsWithData = grid.filter((v) => v > 0).length;
-    // console.log('Grid aggregation complete:', {
-    //   cellsWithData,
-    //   maxValue: Math.max(...grid),
-    //   totalValue: grid.reduce((sum, v) => sum + v, 0),
-    // });
+    // Prefix sum turns counts into start offsets
+    for (let c = 0; c < cellCount; c++) {
+      cellOffsets[c + 1] += cellOffsets[c];
+    }
+
+    // Second pass: scatter point indices into their cell ranges
+    const pointIndices = new Uint32Array(members);
+    const cursor = cellOffsets.slice(0, cellCount);
+    for (let i = 0; i < pointCount; i++) {
+      const idx = cellOf[i];
+      if (idx >= 0) {
+        pointIndices[cursor[idx]++] = i;
+      }
+    }
+
+    return { ...layout, width, height, grid, cellOffsets, pointIndices };
+  }
+
+  /**
+   * Bin points into a quadtree of square cells
+   *
+   * Cells start as a lattice of maxCellSize cells; a cell holding more than `threshold`
+   * points is split into four until its halves would be smaller than minCellSize (or one pixel).
+   * The result is an 'adaptive' layout (see GridGeometry): one row of `cols` leaf cells,
+   * stored by root cell, with their positions and sizes in cellX, cellY and cellSize.
+   * @private
+   */
+  static _binAdaptive(xs, ys, ws, width, height, options) {
+    const { minCellSize, maxCellSize, threshold } = options.adaptive;
+    const root = Aggregator.binPoints(xs, ys, ws, width, height, maxCellSize, {
+      origin: options.origin,
+    });
+    const rootCount = root.cols * root.rows;
+
+    const cellX = [];
+    const cellY = [];
+    const cellSize = [];
+    const grid = [];
+    const offsets = [0];
+    const indices = [];
+    const rootOffsets = new Uint32Array(rootCount + 1);
+
+    const split = (x, y, size, members) => {
+      const half = size / 2;
+      // Coincident points never spread out, so splitting also stops below one pixel
+      if (members.length > threshold && half >= minCellSize && half >= 1) {
+        const quadrants = [[], [], [], []];
+        for (const i of members) {
+          quadrants[(xs[i] >= x + half ? 1 : 0) + (ys[i] >= y + half ? 2 : 0)].push(i);
+        }
+        split(x, y, half, quadrants[0]);
+        split(x + half, y, half, quadrants[1]);
+        split(x, y + half, half, quadrants[2]);
+        split(x + half, y + half, half, quadrants[3]);
+        return;
+      }
+
+      let weight = 0;
+      for (const i of members) {
+        indices.push(i);
+        weight += ws[i];
+      }
+      cellX.push(x);
+      cellY.push(y);
+      cellSize.push(size);
+      grid.push(weight);
+      offsets.push(indices.length);
+    };
+
+    for (let r = 0; r < rootCount; r++) {
+      const box = GridGeometry.cellBounds(root, r % root.cols, Math.floor(r / root.cols));
+      split(box.x, box.y, maxCellSize, Array.from(Aggregator.getCellPointIndices(root, r)));
+      rootOffsets[r + 1] = cellX.length;
+    }
 
     return {
-      grid,
-      cellData,
-      cols,
-      rows,
+      gridType: 'adaptive',
+      hexOrientation: root.hexOrientation,
+      cols: cellX.length,
+      rows: 1,
+      cellSizePixels: maxCellSize,
+      originX: root.originX,
+      originY: root.originY,
+      rootCols: root.cols,
+      rootRows: root.rows,
+      rootOffsets,
+      cellX: Float64Array.from(cellX),
+      cellY: Float64Array.from(cellY),
+      cellSize: Float64Array.from(cellSize),
       width,
       height,
-      cellSizePixels,
+      grid: Float64Array.from(grid),
+      cellOffsets: Uint32Array.from(offsets),
+      pointIndices: Uint32Array.from(indices),
+    };
+  }
+
+  /**
+   * Turn a binPoints() result into an aggregation result
+   * @param {Object} binned - binPoints() result, plus projected `xs` and `ys` arrays
+   * @param {Array|Object} originalData - Original data (array or columnar) for reference
+   * @param {Float32Array|Array} weights - Weight per point
+   * @param {Object} options - {aggregations}
+   * @returns {Object} Aggregation result (same shape as aggregate())
+   */
+  static fromBinned(binned, originalData, weights, options = {}) {
+    const result = {
+      grid: binned.grid,
+      cellOffsets: binned.cellOffsets,
+      pointIndices: binned.pointIndices,
+      xs: binned.xs,
+      ys: binned.ys,
+      ws: weights,
+      cellData: null,
+      aggregates: {},
+      cols: binned.cols,
+      rows: binned.rows,
+      width: binned.width,
+      height: binned.height,
+      cellSizePixels: binned.cellSizePixels,
+      gridType: binned.gridType,
+      hexOrientation: binned.hexOrientation,
+      originX: binned.originX,
+      originY: binned.originY,
     };
+
+    if (binned.gridType === 'adaptive') {
+      for (const key of ['rootCols', 'rootRows', 'rootOffsets', 'cellX', 'cellY', 'cellSize']) {
+        result[key] = binned[key];
+      }
+    }
+
+    result.cellData = Aggregator._createCellDataView(result, originalData);
+
+    if (options.aggregations) {
+      result.aggregates = Aggregator.computeAggregates(result, options.aggregations, originalData);
+    }
+
+    return result;
+  }
+
+  /**
+   * Aggregate the full dataset into world-anchored square cells
+   *
+   * Used for dataset-wide scale domains: values do not depend on what is on screen.
+   * Cells are `cellSizePixels` wide in world pixels at the given zoom, so their
+   * values are comparable with the viewport grid at that zoom.
+   * @param {Object} columns - {lng, lat, weight} typed arrays (see DataSource.toColumns)
+   * @param {number} zoom - Zoom level
+   * @param {number} cellSizePixels - Cell size in pixels
+   * @param {Array|Object} originalData - Original data, for named aggregations
+   * @param {Object} options - {aggregations, colorBy}
+   * @returns {Float64Array} One value per non-empty cell: the `colorBy` aggregate, or the summed weight
+   */
+  static aggregateWorld(columns, zoom, cellSizePixels, originalData, options = {}) {
+    const { lng, lat, weight } = columns;
+    const count = lng.length;
+    const cols = Math.ceil(Mercator.worldSize(zoom) / cellSizePixels);
+    const cellIds = new Map();
+    const cellOf = new Int32Array(count);
+    const sums = [];
+
+    for (let i = 0; i < count; i++) {
+      const p = Mercator.lngLatToWorld(lng[i], lat[i], zoom);
+      const key = Math.floor(p.y / cellSizePixels) * cols + Math.floor(p.x / cellSizePixels);
+      let cell = cellIds.get(key);
+      if (cell === undefined) {
+        cell = sums.length;
+        cellIds.set(key, cell);
+        sums.push(0);
+      }
+      cellOf[i] = cell;
+      sums[cell] += weight[i];
+    }
+
+    // Match the Renderer, which skips cells without positive weight
+    const spec = options.colorBy && options.aggregations && options.aggregations[options.colorBy];
+    if (!spec) {
+      return Float64Array.from(sums.filter((v) => v > 0));
+    }
+
+    // Group point indices per cell, then reduce like a regular aggregation pass
+    const members = sums.map(() => []);
+    for (let i = 0; i < count; i++) {
+      members[cellOf[i]].push(i);
+    }
+    const { op, getValue } = Reducers.normalize(options.colorBy, spec, originalData, weight);
+    const values = [];
+    for (let cell = 0; cell < members.length; cell++) {
+      if (sums[cell] > 0) values.push(Reducers.reduce(op, members[cell], getValue));
+    }
+    return Float64Array.from(values);
+  }
+
+  /**
+   * Get the point indices of one cell without materializing entries
+   * @param {Object} aggregationResult - Result from aggregate()
+   * @param {number} idx - Cell index
+   * @returns {Uint32Array} View into pointIndices
+   */
+  static getCellPointIndices(aggregationResult, idx) {
+    const { cellOffsets, pointIndices } = aggregationResult;
+    return pointIndices.subarray(cellOffsets[idx], cellOffsets[idx + 1]);
+  }
+
+  /**
+   * Get the number of points in one cell
+   * @param {Object} aggregationResult - Result from aggregate()
+   * @param {number} idx - Cell index
+   * @returns {number} Point count
+   */
+  static getCellPointCount(aggregationResult, idx) {
+    const { cellOffsets } = aggregationResult;
+    return cellOffsets[idx + 1] - cellOffsets[idx];
+  }
+
+  /**
+   * Normalize projected points to x/y/w columns
+   * @private
+   */
+  static _toColumns(projectedPoints) {
+    if (!Array.isArray(projectedPoints)) {
+      return { xs: projectedPoints.x, ys: projectedPoints.y, ws: projectedPoints.w };
+    }
+
+    const count = projectedPoints.length;
+    const xs = new Float32Array(count);
+    const ys = new Float32Array(count);
+    const ws = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      const p = projectedPoints[i];
+      // Rows skipped by viewport culling have no projection
+      if (p === null) {
+        xs[i] = NaN;
+        ys[i] = NaN;
+        continue;
+      }
+      xs[i] = p.x;
+      ys[i] = p.y;
+      ws[i] = p.w;
+    }
+    return { xs, ys, ws };
+  }
+
+  /**
+   * Create the lazy `cellData` accessor
+   * Indexing, length, iteration and array methods all work; each cell's entries are
+   * built on first access and cached for the lifetime of the result.
+   * @private
+   */
+  static _createCellDataView(result, originalData) {
+    const cellCount = result.grid.length;
+
+    return new Proxy(new Array(cellCount), {
+      get(target, prop, receiver) {
+        if (typeof prop === 'string') {
+          const idx = +prop;
+          if (Number.isInteger(idx) && idx >= 0 && idx < cellCount) {
+            if (target[idx] === undefined) {
+              target[idx] = Aggregator._buildCellEntries(result, originalData, idx);
+            }
+            return target[idx];
+          }
+        }
+        return Reflect.get(target, prop, receiver);
+      },
+      // forEach/map/filter skip holes, so every cell index must report as present
+      has(target, prop) {
+        if (typeof prop === 'string') {
+          const idx = +prop;
+          if (Number.isInteger(idx) && idx >= 0 && idx < cellCount) return true;
+        }
+        return Reflect.has(target, prop);
+      },
+    });
+  }
+
+  /**
+   * Materialize the entries of one cell
+   * @private
+   */
+  static _buildCellEntries(result, originalData, idx) {
+    const { xs, ys, ws } = result;
+    const indices = Aggregator.getCellPointIndices(result, idx);
+    const items = new Array(indices.length);
+    for (let k = 0; k < indices.length; k++) {
+      const i = indices[k];
+      items[k] = Aggregator._createEntry(originalData, i, ws[i], xs[i], ys[i]);
+    }
+    return items;
+  }
+
+  /**
+   * Create a cellData entry for a data row
+   * Columnar rows are only materialized when `data` is read.
+   * @private
+   */
+  static _createEntry(originalData, index, weight, x, y) {
+    if (DataSource.isColumnar(originalData)) {
+      return {
+        index,
+        weight,
+        projectedX: x,
+        projectedY: y,
+        get data() {
+          return DataSource.getRow(originalData, index);
+        },
+      };
+    }
+
+    return {
+      index,
+      data: originalData[index],
+      weight,
+      projectedX: x,
+      projectedY: y,
+    };
+  }
+
+  /**
+   * Compute named per-cell aggregates once per aggregation pass
+   * @param {Object} aggregationResult - Result from aggregate()
+   * @param {Object} aggregations - {name: {field, op}} where op is one of Reducers.OPS
+   * @param {Array|Object} originalData - Original data, lets string fields read columns directly
+   * @returns {Object} {name: Float64Array} with one value per cell (NaN for empty cells)
+   */
+  static computeAggregates(aggregationResult, aggregations, originalData = null) {
+    const { grid, ws } = aggregationResult;
+    const specs = Object.entries(aggregations || {}).map(([name, spec]) =>
+      Reducers.normalize(name, spec, originalData, ws)
+    );
+
+    const aggregates = {};
+    for (const spec of specs) {
+      aggregates[spec.name] = new Float64Array(grid.length).fill(NaN);
+    }
+
+    for (let idx = 0; idx < grid.length; idx++) {
+      const indices = Aggregator.getCellPointIndices(aggregationResult, idx);
+      if (indices.length === 0) continue;
+
+      for (const spec of specs) {
+        aggregates[spec.name][idx] = Reducers.reduce(spec.op, indices, spec.getValue);
+      }
+    }
+
+    return aggregates;
+  }
+
+  /**
+   * Get the per-cell values a color scale should use
+   * @param {Object} aggregationResult - Result from aggregate()
+   * @param {string|null} name - Named aggregate, or null for the summed weight
+   * @returns {Array|Float64Array} One value per cell
+   */
+  static getValues(aggregationResult, name = null) {
+    if (name && aggregationResult.aggregates && aggregationResult.aggregates[name]) {
+      return aggregationResult.aggregates[name];
+    }
+    return aggregationResult.grid;
+  }
+
+  /**
+   * Read the named aggregates of one cell
+   * @param {Object} aggregationResult - Result from aggregate()
+   * @param {number} idx - Cell index
+   * @returns {Object} {name: value}
+   */
+  static getCellAggregates(aggregationResult, idx) {
+    const values = {};
+    const aggregates = aggregationResult.aggregates || {};
+    for (const name in aggregates) {
+      values[name] = aggregates[name][idx];
+    }
+    return values;
   }
 
   /**
@@ -77,10 +471,11 @@ export class Aggregator {
    * @param {number} width - Canvas width
    * @param {number} height - Canvas height
    * @param {number} cellSizePixels - Cell size
+   * @param {Object} options - Grid options
    * @returns {Object} Aggregation result
    */
-  aggregate(projectedPoints, originalData, width, height, cellSizePixels) {
-    return Aggregator.aggregate(projectedPoints, originalData, width, height, cellSizePixels);
+  aggregate(projectedPoints, originalData, width, height, cellSizePixels, options = {}) {
+    return Aggregator.aggregate(projectedPoints, originalData, width, height, cellSizePixels, options);
   }
 
   /**
@@ -0,0 +1,96 @@
+/**
+ * Bivariate.js
+ * Two-variable cell coloring: each value is classified into N bins and the
+ * (xClass, yClass) pair picks a color from a 2D palette
+ */
+
+import { Aggregator } from './Aggregator.js';
+import { Scales } from './Scales.js';
+import { ColorScales } from '../colors/ColorScales.js';
+
+export class Bivariate {
+  /**
+   * Default bivariate options
+   */
+  static DEFAULTS = {
+    x: null,
+    y: null,
+    bins: 3,
+    palette: 'pinkBlue',
+    xScale: 'quantile',
+    yScale: 'quantile',
+    alpha: 255,
+  };
+
+  /**
+   * Resolve bivariate options against an aggregation result
+   * @param {Object} options - Bivariate options
+   * @param {string|null} options.x - Named aggregate for the x axis (null: summed weight)
+   * @param {string|null} options.y - Named aggregate for the y axis (null: summed weight)
+   * @param {number} options.bins - Classes per axis, e.g. 3 or 4 (default: 3)
+   * @param {string|Array} options.palette - Bivariate palette name or bins x bins colors
+   *   (see ColorScales.createBivariate; default: 'pinkBlue')
+   * @param {Object|string} options.xScale - Scale options for classifying x (see Scales; default: 'quantile')
+   * @param {Object|string} options.yScale - Scale options for classifying y (default: 'quantile')
+   * @param {number} options.alpha - Alpha 0-255 (default: 255)
+   * @param {Object} aggregationResult - Result from Aggregator.aggregate()
+   * @returns {Object} {x: {field, values, scale}, y: {field, values, scale}, bins, colorAt, palette}
+   * @throws {Error} If a scale type or palette name is unknown
+   */
+  static resolve(options, aggregationResult) {
+    const opts = { ...Bivariate.DEFAULTS, ...options };
+    const colorAt = ColorScales.createBivariate(opts.palette, { bins: opts.bins, alpha: opts.alpha });
+    // Color arrays define their own size
+    const bins = colorAt.palette.bins;
+
+    const resolveAxis = (field, scaleOptions) => {
+      const values = Aggregator.getValues(aggregationResult, field);
+      const scale = Scales.resolve(
+        { ...Scales.normalizeOptions(scaleOptions), classes: bins },
+        Scales.collectValues(aggregationResult.grid, values)
+      );
+      return { field, values, scale };
+    };
+
+    return {
+      x: resolveAxis(opts.x, opts.xScale),
+      y: resolveAxis(opts.y, opts.yScale),
+      bins,
+      colorAt,
+      palette: colorAt.palette,
+    };
+  }
+
+  /**
+   * Class index of a value on one axis
+   * @param {Object} scale - Resolved scale (see Scales.resolve)
+   * @param {number} value - Cell value
+   * @param {number} bins - Classes per axis
+   * @returns {number} Class in [0, bins - 1]
+   */
+  static classify(scale, value, bins) {
+    const t = scale.normalize(value);
+    const k = scale.discrete
+      ? Math.round(t * (scale.classes - 1))
+      : Math.floor(t * bins);
+    return Math.max(0, Math.min(bins - 1, k));
+  }
+
+  /**
+   * Color of one cell
+   * @param {Object} bivariate - Result from resolve()
+   * @param {number} idx - Cell index
+   * @returns {Array|null} [r, g, b, a], or null if either value is missing
+   */
+  static getCellColor(bivariate, idx) {
+    const { x, y, bins } = bivariate;
+    const xValue = x.values[idx];
+    const yValue = y.values[idx];
+    if (isNaN(xValue) || isNaN(yValue)) return null;
+
+    return bivariate.colorAt(
+      Bivariate.classify(x.scale, xValue, bins),
+      Bivariate.classify(y.scale, yValue, bins)
+    );
+  }
+}
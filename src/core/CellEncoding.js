@@ -0,0 +1,106 @@
+/**
+ * CellEncoding.js
+ * Non-glyph cell encodings: a per-cell value drives the inset size of the drawn
+ * shape (value-by-size) or its opacity (value-by-alpha), while colorScale or the
+ * bivariate palette keeps driving the hue
+ */
+
+import { Aggregator } from './Aggregator.js';
+import { Scales } from './Scales.js';
+
+export class CellEncoding {
+  /**
+   * Supported encoding types
+   */
+  static TYPES = ['size', 'alpha'];
+
+  /**
+   * Supported shapes for value-by-size
+   * 'cell' shrinks the grid cell itself (square or hexagon), 'circle' draws a circle.
+   */
+  static SHAPES = ['cell', 'circle'];
+
+  /**
+   * Default options per encoding type
+   * Sizes use a sqrt scale so the drawn area, not the side, follows the value.
+   */
+  static DEFAULTS = {
+    size: { by: null, shape: 'cell', range: [0.2, 1], scale: 'sqrt' },
+    alpha: { by: null, shape: 'cell', range: [0.15, 1], scale: 'linear' },
+  };
+
+  /**
+   * Fill in defaults and validate encoding options
+   * @param {Object|string} options - Encoding options, or just a type name
+   * @returns {Object} Complete options
+   * @throws {Error} If the type or shape is unknown
+   */
+  static normalizeOptions(options) {
+    const type = typeof options === 'string' ? options : options.type || 'size';
+    if (!CellEncoding.TYPES.includes(type)) {
+      throw new Error(`Unknown cell encoding "${type}"`);
+    }
+
+    const opts = {
+      ...CellEncoding.DEFAULTS[type],
+      ...(typeof options === 'string' ? {} : options),
+      type,
+    };
+    if (!CellEncoding.SHAPES.includes(opts.shape)) {
+      throw new Error(`Unknown cell encoding shape "${opts.shape}"`);
+    }
+    return opts;
+  }
+
+  /**
+   * Resolve encoding options against an aggregation result
+   * @param {Object|string} options - Encoding options
+   * @param {string} options.type - 'size' or 'alpha' (default: 'size')
+   * @param {string|null} options.by - Named aggregate driving the encoding (null: summed weight)
+   * @param {string} options.shape - 'cell' or 'circle', for value-by-size (default: 'cell')
+   * @param {Array} options.range - [min, max] output: fraction of the cell size, or of the
+   *   color's alpha (default: [0.2, 1] for size, [0.15, 1] for alpha)
+   * @param {Object|string} options.scale - Scale options for the driving value (see Scales;
+   *   default: 'sqrt' for size, 'linear' for alpha)
+   * @param {Object} aggregationResult - Result from Aggregator.aggregate()
+   * @returns {Object} {type, shape, field, values, scale, range}
+   * @throws {Error} If the type, shape or scale type is unknown
+   */
+  static resolve(options, aggregationResult) {
+    const opts = CellEncoding.normalizeOptions(options);
+    const values = Aggregator.getValues(aggregationResult, opts.by);
+    const scale = Scales.resolve(opts.scale, Scales.collectValues(aggregationResult.grid, values));
+
+    return {
+      type: opts.type,
+      shape: opts.shape,
+      field: opts.by,
+      values,
+      scale,
+      range: [+opts.range[0], +opts.range[1]],
+    };
+  }
+
+  /**
+   * Encoded factor of a value
+   * @param {Object} encoding - Result from resolve()
+   * @param {number} value - Driving value
+   * @returns {number} Size or alpha factor within encoding.range
+   */
+  static factorOf(encoding, value) {
+    const [lo, hi] = encoding.range;
+    return lo + (hi - lo) * encoding.scale.normalize(value);
+  }
+
+  /**
+   * Encoded factor of one cell
+   * @param {Object} encoding - Result from resolve()
+   * @param {number} idx - Cell index
+   * @returns {number|null} Factor, or null if the cell has no driving value
+   */
+  static getCellFactor(encoding, idx) {
+    const value = encoding.values[idx];
+    if (isNaN(value)) return null;
+    return CellEncoding.factorOf(encoding, value);
+  }
+}
@@ -3,36 +3,36 @@
  * Query engine for finding and accessing grid cells
  */
 
+import { GridGeometry } from './GridGeometry.js';
+import { Aggregator } from './Aggregator.js';
+
 export class CellQueryEngine {
   /**
    * Get cell information at a specific point
    * @param {Object} aggregationResult - Result from Aggregator.aggregate()
    * @param {Object} point - {x, y} coordinates
-   * @returns {Object|null} Cell info: {col, row, value, cellData, x, y} or null
+   * @returns {Object|null} Cell info: {col, row, value, cellData, x, y, centerX, centerY, ...} or null
    */
   static getCellAt(aggregationResult, point) {
     if (!aggregationResult) return null;
 
-    const { grid, cellData, cols, rows, cellSizePixels } = aggregationResult;
-    const col = Math.floor(point.x / cellSizePixels);
-    const row = Math.floor(point.y / cellSizePixels);
+    const cell = GridGeometry.locate(aggregationResult, point.x, point.y);
+    if (!cell) return null;
 
-    // Bounds check
-    if (col < 0 || col >= cols || row < 0 || row >= rows) {
-      return null;
-    }
+    return CellQueryEngine._buildCellInfo(aggregationResult, cell.col, cell.row);
+  }
 
-    const idx = row * cols + col;
-    return {
-      col,
-      row,
-      value: grid[idx],
-      cellData: cellData[idx],
-      x: col * cellSizePixels,
-      y: row * cellSizePixels,
-      cellSize: cellSizePixels,
-      index: idx,
-    };
+  /**
+   * Get cell information by cell index
+   * @param {Object} aggregationResult - Aggregation result
+   * @param {number} index - Cell index (row * cols + col)
+   * @returns {Object|null} Cell info, or null when the index is outside the grid
+   */
+  static getCellByIndex(aggregationResult, index) {
+    if (!aggregationResult || !(index >= 0 && index < aggregationResult.grid.length)) return null;
+
+    const { cols } = aggregationResult;
+    return CellQueryEngine._buildCellInfo(aggregationResult, index % cols, Math.floor(index / cols));
   }
 
   /**
@@ -44,28 +44,41 @@ export class CellQueryEngine {
   static getCellsInBounds(aggregationResult, bounds) {
     if (!aggregationResult) return [];
 
-    const { grid, cellData, cols, rows, cellSizePixels } = aggregationResult;
-    const minCol = Math.floor(bounds.minX / cellSizePixels);
-    const minRow = Math.floor(bounds.minY / cellSizePixels);
-    const maxCol = Math.floor(bounds.maxX / cellSizePixels);
-    const maxRow = Math.floor(bounds.maxY / cellSizePixels);
-
+    const { grid, cols, rows, cellSizePixels } = aggregationResult;
     const cells = [];
 
+    if (aggregationResult.gridType === 'hex' || aggregationResult.gridType === 'adaptive') {
+      // Hex cells overlap row/column bands and adaptive cells vary in size,
+      // so test each cell's bounding box
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          if (grid[row * cols + col] <= 0) continue;
+
+          const box = GridGeometry.cellBounds(aggregationResult, col, row);
+          if (
+            box.x <= bounds.maxX &&
+            box.x + box.width >= bounds.minX &&
+            box.y <= bounds.maxY &&
+            box.y + box.height >= bounds.minY
+          ) {
+            cells.push(CellQueryEngine._buildCellInfo(aggregationResult, col, row));
+          }
+        }
+      }
+      return cells;
+    }
+
+    const originX = aggregationResult.originX || 0;
+    const originY = aggregationResult.originY || 0;
+    const minCol = Math.floor((bounds.minX - originX) / cellSizePixels);
+    const minRow = Math.floor((bounds.minY - originY) / cellSizePixels);
+    const maxCol = Math.floor((bounds.maxX - originX) / cellSizePixels);
+    const maxRow = Math.floor((bounds.maxY - originY) / cellSizePixels);
+
     for (let row = Math.max(0, minRow); row <= Math.min(rows - 1, maxRow); row++) {
       for (let col = Math.max(0, minCol); col <= Math.min(cols - 1, maxCol); col++) {
-        const idx = row * cols + col;
-        if (grid[idx] > 0) {
-          cells.push({
-            col,
-            row,
-            value: grid[idx],
-            cellData: cellData[idx],
-            x: col * cellSizePixels,
-            y: row * cellSizePixels,
-            cellSize: cellSizePixels,
-            index: idx,
-          });
+        if (grid[row * cols + col] > 0) {
+          cells.push(CellQueryEngine._buildCellInfo(aggregationResult, col, row));
         }
       }
     }
@@ -73,6 +86,270 @@ export class CellQueryEngine {
     return cells;
   }
 
+  /**
+   * Get all cells with data that overlap a polygon
+   * Each cell gets `coverage`: 'full' when it lies entirely inside the polygon, else 'partial'.
+   * `pointsInside` lists the cellData entries whose projected position is inside the polygon:
+   * every entry for full cells, a point-in-polygon test per entry for partial ones.
+   * @param {Object} aggregationResult - Aggregation result
+   * @param {Array} polygon - Screen-space vertices [[x, y], ...]; closed implicitly
+   * @returns {Array} Array of cell info objects with `coverage` and `pointsInside`
+   */
+  static getCellsInPolygon(aggregationResult, polygon) {
+    if (!aggregationResult || !polygon || polygon.length < 3) return [];
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const [x, y] of polygon) {
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+
+    const cells = [];
+    for (const cell of CellQueryEngine.getCellsInBounds(aggregationResult, { minX, minY, maxX, maxY })) {
+      const vertices = GridGeometry.cellPolygon(aggregationResult, cell.col, cell.row);
+      const coverage = CellQueryEngine._polygonCoverage(vertices, polygon);
+      if (!coverage) continue;
+
+      const idx = cell.index;
+      cell.coverage = coverage;
+      Object.defineProperty(cell, 'pointsInside', {
+        enumerable: true,
+        get() {
+          const entries = aggregationResult.cellData[idx];
+          if (coverage === 'full') return entries;
+          return entries.filter((entry) =>
+            CellQueryEngine.pointInPolygon(entry.projectedX, entry.projectedY, polygon)
+          );
+        },
+      });
+      cells.push(cell);
+    }
+
+    return cells;
+  }
+
+  /**
+   * Test whether a point lies inside a polygon (even-odd rule)
+   * @param {number} x - Screen X
+   * @param {number} y - Screen Y
+   * @param {Array} polygon - Vertices [[x, y], ...]
+   * @returns {boolean} True if inside
+   */
+  static pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [xi, yi] = polygon[i];
+      const [xj, yj] = polygon[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * How a convex cell overlaps a polygon
+   * @private
+   * @returns {string|null} 'full', 'partial', or null when they do not overlap
+   */
+  static _polygonCoverage(cell, polygon) {
+    let edgesCross = false;
+    for (let i = 0, j = cell.length - 1; i < cell.length && !edgesCross; j = i++) {
+      for (let k = 0, l = polygon.length - 1; k < polygon.length; l = k++) {
+        if (CellQueryEngine._segmentsIntersect(cell[j], cell[i], polygon[l], polygon[k])) {
+          edgesCross = true;
+          break;
+        }
+      }
+    }
+
+    const cornersInside = cell.filter(([x, y]) => CellQueryEngine.pointInPolygon(x, y, polygon)).length;
+    if (!edgesCross) {
+      if (cornersInside === cell.length) return 'full';
+      if (cornersInside > 0) return 'partial';
+      // No crossing and no corner inside: the polygon is either disjoint or entirely within the cell
+      const [px, py] = polygon[0];
+      return CellQueryEngine.pointInPolygon(px, py, cell) ? 'partial' : null;
+    }
+    return 'partial';
+  }
+
+  /**
+   * Test whether segments ab and cd intersect
+   * @private
+   */
+  static _segmentsIntersect(a, b, c, d) {
+    const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+  }
+
+  /**
+   * Get the cells around a cell
+   * @param {Object} aggregationResult - Aggregation result
+   * @param {Object} cell - Cell info, or any {col, row}
+   * @param {Object} options - Neighborhood options
+   * @param {number} options.radius - Neighborhood size in cell steps (default: 1)
+   * @param {number} options.connectivity - 4 or 8 for square and adaptive grids; hex grids are always 6-connected (default: 8)
+   * @param {boolean} options.includeEmpty - Also return cells without data (default: false)
+   * @returns {Array} Cell info objects with `distance` in cell steps, nearest first
+   * @throws {Error} If connectivity is not 4 or 8, or radius is negative
+   */
+  static getNeighbors(aggregationResult, cell, options = {}) {
+    const { radius = 1, connectivity = 8, includeEmpty = false } = options;
+    if (connectivity !== 4 && connectivity !== 8) {
+      throw new Error(`getNeighbors: connectivity must be 4 or 8, got ${connectivity}`);
+    }
+    if (!(radius >= 0)) {
+      throw new Error(`getNeighbors: radius must be a non-negative number, got ${radius}`);
+    }
+    if (!aggregationResult || !cell) return [];
+
+    const { grid } = aggregationResult;
+    const cells = [];
+    for (const neighbor of GridGeometry.neighbors(aggregationResult, cell.col, cell.row, radius, connectivity)) {
+      if (!includeEmpty && !(grid[neighbor.index] > 0)) continue;
+
+      const info = CellQueryEngine._buildCellInfo(aggregationResult, neighbor.col, neighbor.row);
+      info.distance = neighbor.distance;
+      cells.push(info);
+    }
+    return cells;
+  }
+
+  /**
+   * Get the cell with data whose center is closest to a point
+   * @param {Object} aggregationResult - Aggregation result
+   * @param {Object} point - {x, y} coordinates
+   * @returns {Object|null} Cell info with `distance` in pixels, or null when no cell has data
+   */
+  static getNearestNonEmptyCell(aggregationResult, point) {
+    if (!aggregationResult) return null;
+
+    const { grid, cols } = aggregationResult;
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let idx = 0; idx < grid.length; idx++) {
+      if (!(grid[idx] > 0)) continue;
+
+      const center = GridGeometry.cellCenter(aggregationResult, idx % cols, Math.floor(idx / cols));
+      const distance = Math.hypot(center.x - point.x, center.y - point.y);
+      if (distance < bestDistance) {
+        best = idx;
+        bestDistance = distance;
+      }
+    }
+    if (best < 0) return null;
+
+    const cell = CellQueryEngine.getCellByIndex(aggregationResult, best);
+    cell.distance = bestDistance;
+    return cell;
+  }
+
+  /**
+   * Get all cells with data whose center lies within a radius of a point
+   * @param {Object} aggregationResult - Aggregation result
+   * @param {Object} point - {x, y} coordinates
+   * @param {number} radius - Radius in pixels
+   * @returns {Array} Cell info objects with `distance` in pixels, nearest first
+   */
+  static getCellsWithinRadius(aggregationResult, point, radius) {
+    if (!aggregationResult || !(radius >= 0)) return [];
+
+    const bounds = {
+      minX: point.x - radius,
+      minY: point.y - radius,
+      maxX: point.x + radius,
+      maxY: point.y + radius,
+    };
+    const cells = [];
+    for (const cell of CellQueryEngine.getCellsInBounds(aggregationResult, bounds)) {
+      const distance = Math.hypot(cell.centerX - point.x, cell.centerY - point.y);
+      if (distance <= radius) {
+        cell.distance = distance;
+        cells.push(cell);
+      }
+    }
+    return cells.sort((a, b) => a.distance - b.distance || a.index - b.index);
+  }
+
+  /**
+   * Get the cells with the highest values
+   * @param {Object} aggregationResult - Aggregation result
+   * @param {number} n - Number of cells
+   * @param {Object} options - Ranking options
+   * @param {string} options.by - 'value' or the name of a per-cell aggregate (default: 'value')
+   * @returns {Array} Up to n cell info objects with data, highest first; ties keep grid order
+   * @throws {Error} If `by` names an aggregate the result does not have
+   */
+  static getTopCells(aggregationResult, n, options = {}) {
+    const by = options.by || 'value';
+    if (!aggregationResult || !(n > 0)) return [];
+
+    let values = aggregationResult.grid;
+    if (by !== 'value') {
+      if (!aggregationResult.aggregates || !aggregationResult.aggregates[by]) {
+        throw new Error(`getTopCells: unknown aggregate "${by}"`);
+      }
+      values = aggregationResult.aggregates[by];
+    }
+
+    const { grid } = aggregationResult;
+    const indices = [];
+    for (let idx = 0; idx < grid.length; idx++) {
+      if (grid[idx] > 0 && !Number.isNaN(values[idx])) indices.push(idx);
+    }
+    indices.sort((a, b) => values[b] - values[a] || a - b);
+
+    return indices
+      .slice(0, n)
+      .map((idx) => CellQueryEngine.getCellByIndex(aggregationResult, idx));
+  }
+
+  /**
+   * Add a cell's geographic extent to its info object
+   * The cell's screen corners are unprojected, so with pitch or bearing the bounds are those
+   * of the rotated quadrilateral the cell covers on the ground.
+   * @param {Object} aggregationResult - Aggregation result the cell came from
+   * @param {Object} cell - Cell info object; modified in place
+   * @param {Function} unproject - ([x, y]) => {lng, lat}, e.g. map.unproject
+   * @returns {Object} The cell, with geoCenter [lng, lat], geoPolygon (closed ring of
+   *   [lng, lat]) and geoBounds [west, south, east, north]
+   */
+  static addGeography(aggregationResult, cell, unproject) {
+    const toLngLat = ([x, y]) => {
+      const lngLat = unproject([x, y]);
+      return [lngLat.lng, lngLat.lat];
+    };
+
+    const ring = GridGeometry.cellPolygon(aggregationResult, cell.col, cell.row).map(toLngLat);
+    ring.push([...ring[0]]);
+
+    let west = Infinity;
+    let south = Infinity;
+    let east = -Infinity;
+    let north = -Infinity;
+    for (const [lng, lat] of ring) {
+      if (lng < west) west = lng;
+      if (lat < south) south = lat;
+      if (lng > east) east = lng;
+      if (lat > north) north = lat;
+    }
+
+    cell.geoCenter = toLngLat([cell.centerX, cell.centerY]);
+    cell.geoPolygon = ring;
+    cell.geoBounds = [west, south, east, north];
+    return cell;
+  }
+
   /**
    * Get all cells with data values above a threshold
    * @param {Object} aggregationResult - Aggregation result
@@ -82,23 +359,13 @@ export class CellQueryEngine {
   static getCellsAboveThreshold(aggregationResult, threshold) {
     if (!aggregationResult) return [];
 
-    const { grid, cellData, cols, rows, cellSizePixels } = aggregationResult;
+    const { grid, cols, rows } = aggregationResult;
     const cells = [];
 
     for (let row = 0; row < rows; row++) {
       for (let col = 0; col < cols; col++) {
-        const idx = row * cols + col;
-        if (grid[idx] >= threshold) {
-          cells.push({
-            col,
-            row,
-            value: grid[idx],
-            cellData: cellData[idx],
-            x: col * cellSizePixels,
-            y: row * cellSizePixels,
-            cellSize: cellSizePixels,
-            index: idx,
-          });
+        if (grid[row * cols + col] >= threshold) {
+          cells.push(CellQueryEngine._buildCellInfo(aggregationResult, col, row));
         }
       }
     }
@@ -106,11 +373,49 @@ export class CellQueryEngine {
     return cells;
   }
 
+  /**
+   * Build the cell info object returned by all queries
+   * @private
+   */
+  static _buildCellInfo(aggregationResult, col, row) {
+    const { grid, cols } = aggregationResult;
+    const idx = row * cols + col;
+    const box = GridGeometry.cellBounds(aggregationResult, col, row);
+    const center = GridGeometry.cellCenter(aggregationResult, col, row);
+    const { partial, ...visibleBounds } = GridGeometry.visibleBounds(aggregationResult, col, row);
+
+    return {
+      col,
+      row,
+      value: grid[idx],
+      aggregates: Aggregator.getCellAggregates(aggregationResult, idx),
+      pointCount: Aggregator.getCellPointCount(aggregationResult, idx),
+      // Entries are only materialized when read
+      get cellData() {
+        return aggregationResult.cellData[idx];
+      },
+      x: box.x,
+      y: box.y,
+      centerX: center.x,
+      centerY: center.y,
+      cellSize: GridGeometry.cellSizeAt(aggregationResult, col, row),
+      gridType: aggregationResult.gridType || 'square',
+      partial,
+      visibleBounds,
+      index: idx,
+    };
+  }
+
   /**
    * Instance method for convenience
+   * @param {Object} aggregationResult - Result from aggregation (optional)
+   * @param {Object} options - Options
+   * @param {Function} options.unproject - ([x, y]) => {lng, lat}; when set, every cell returned
+   *   by the instance methods carries geoCenter, geoPolygon and geoBounds (see addGeography)
    */
-  constructor(aggregationResult = null) {
+  constructor(aggregationResult = null, options = {}) {
     this.aggregationResult = aggregationResult;
+    this.unproject = options.unproject || null;
   }
 
   /**
@@ -121,13 +426,30 @@ export class CellQueryEngine {
     this.aggregationResult = aggregationResult;
   }
 
+  /**
+   * Set the function used to add geographic extents to returned cells
+   * @param {Function|null} unproject - ([x, y]) => {lng, lat}, or null for screen-only cells
+   */
+  setUnproject(unproject) {
+    this.unproject = unproject || null;
+  }
+
   /**
    * Query cell at point using stored result
    * @param {Object} point - {x, y}
    * @returns {Object|null} Cell info
    */
   getCellAt(point) {
-    return CellQueryEngine.getCellAt(this.aggregationResult, point);
+    return this._withGeography(CellQueryEngine.getCellAt(this.aggregationResult, point));
+  }
+
+  /**
+   * Query cell by index using stored result
+   * @param {number} index - Cell index (row * cols + col)
+   * @returns {Object|null} Cell info
+   */
+  getCellByIndex(index) {
+    return this._withGeography(CellQueryEngine.getCellByIndex(this.aggregationResult, index));
   }
 
   /**
@@ -136,7 +458,57 @@ export class CellQueryEngine {
    * @returns {Array} Cells in bounds
    */
   getCellsInBounds(bounds) {
-    return CellQueryEngine.getCellsInBounds(this.aggregationResult, bounds);
+    return this._withGeography(CellQueryEngine.getCellsInBounds(this.aggregationResult, bounds));
+  }
+
+  /**
+   * Query cells overlapping a polygon
+   * @param {Array} polygon - Screen-space vertices [[x, y], ...]
+   * @returns {Array} Cells with `coverage` and `pointsInside`
+   */
+  getCellsInPolygon(polygon) {
+    return this._withGeography(CellQueryEngine.getCellsInPolygon(this.aggregationResult, polygon));
+  }
+
+  /**
+   * Query the cells around a cell
+   * @param {Object} cell - Cell info, or any {col, row}
+   * @param {Object} options - {radius, connectivity, includeEmpty}
+   * @returns {Array} Neighboring cells with `distance`
+   */
+  getNeighbors(cell, options) {
+    return this._withGeography(CellQueryEngine.getNeighbors(this.aggregationResult, cell, options));
+  }
+
+  /**
+   * Query the nearest cell with data
+   * @param {Object} point - {x, y}
+   * @returns {Object|null} Cell info with `distance`
+   */
+  getNearestNonEmptyCell(point) {
+    return this._withGeography(CellQueryEngine.getNearestNonEmptyCell(this.aggregationResult, point));
+  }
+
+  /**
+   * Query cells with data within a radius
+   * @param {Object} point - {x, y}
+   * @param {number} radius - Radius in pixels
+   * @returns {Array} Cells with `distance`
+   */
+  getCellsWithinRadius(point, radius) {
+    return this._withGeography(
+      CellQueryEngine.getCellsWithinRadius(this.aggregationResult, point, radius)
+    );
+  }
+
+  /**
+   * Query the highest ranked cells
+   * @param {number} n - Number of cells
+   * @param {Object} options - {by}
+   * @returns {Array} Cells, highest first
+   */
+  getTopCells(n, options) {
+    return this._withGeography(CellQueryEngine.getTopCells(this.aggregationResult, n, options));
   }
 
   /**
@@ -145,6 +517,24 @@ export class CellQueryEngine {
    * @returns {Array} Cells above threshold
    */
   getCellsAboveThreshold(threshold) {
-    return CellQueryEngine.getCellsAboveThreshold(this.aggregationResult, threshold);
+    return this._withGeography(
+      CellQueryEngine.getCellsAboveThreshold(this.aggregationResult, threshold)
+    );
+  }
+
+  /**
+   * Add geographic extents to a query result when an unproject function is set
+   * @private
+   */
+  _withGeography(result) {
+    if (!this.unproject || !result) return result;
+
+    if (Array.isArray(result)) {
+      for (const cell of result) {
+        CellQueryEngine.addGeography(this.aggregationResult, cell, this.unproject);
+      }
+      return result;
+    }
+    return CellQueryEngine.addGeography(this.aggregationResult, result, this.unproject);
   }
 }
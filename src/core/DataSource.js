@@ -0,0 +1,173 @@
+/**
+ * DataSource.js
+ * Uniform row access over array-of-objects and columnar (typed array) data
+ *
+ * Columnar data looks like:
+ *   {length, lng: Float64Array, lat: Float64Array, weight?: Float32Array, columns?: {name: Array|TypedArray}}
+ * Rows are addressed by index and only materialized as objects when asked for.
+ */
+
+export class DataSource {
+  /**
+   * Check whether data uses the columnar layout
+   * @param {Array|Object} data - Layer data
+   * @returns {boolean} True for columnar data
+   */
+  static isColumnar(data) {
+    return (
+      !!data &&
+      !Array.isArray(data) &&
+      typeof data === 'object' &&
+      typeof data.length === 'number' &&
+      !!data.lng &&
+      !!data.lat
+    );
+  }
+
+  /**
+   * Number of rows
+   * @param {Array|Object} data - Layer data
+   * @returns {number} Row count
+   */
+  static getLength(data) {
+    return data ? data.length || 0 : 0;
+  }
+
+  /**
+   * Resolve a row index to its attributes
+   * @param {Array|Object} data - Layer data
+   * @param {number} index - Row index
+   * @returns {Object} The original object, or {index, lng, lat, weight, ...columns} for columnar data
+   */
+  static getRow(data, index) {
+    if (!DataSource.isColumnar(data)) {
+      return data[index];
+    }
+
+    const row = {
+      index,
+      lng: data.lng[index],
+      lat: data.lat[index],
+      weight: data.weight ? data.weight[index] : 1,
+    };
+    const columns = data.columns || {};
+    for (const name in columns) {
+      row[name] = columns[name][index];
+    }
+    return row;
+  }
+
+  /**
+   * Read a named attribute of a row without materializing it when possible
+   * @param {Array|Object} data - Layer data
+   * @param {number} index - Row index
+   * @param {string} name - Property or column name
+   * @returns {*} Attribute value
+   */
+  static getValue(data, index, name) {
+    if (DataSource.isColumnar(data)) {
+      if (data.columns && data.columns[name]) return data.columns[name][index];
+      if (name === 'lng' || name === 'lat' || name === 'weight') {
+        return DataSource.getRow(data, index)[name];
+      }
+      return undefined;
+    }
+    return data[index][name];
+  }
+
+  /**
+   * Copy a set of rows into new data of the same layout
+   * @param {Array|Object} data - Layer data
+   * @param {Array|TypedArray} indices - Row indices to keep, in output order
+   * @returns {Array|Object} Array of the original objects, or columnar data with copied columns
+   */
+  static subset(data, indices) {
+    if (!DataSource.isColumnar(data)) {
+      return Array.from(indices, (index) => data[index]);
+    }
+
+    const pick = (column) => {
+      const out = Array.isArray(column) ? new Array(indices.length) : new column.constructor(indices.length);
+      for (let i = 0; i < indices.length; i++) {
+        out[i] = column[indices[i]];
+      }
+      return out;
+    };
+
+    const result = { length: indices.length, lng: pick(data.lng), lat: pick(data.lat) };
+    if (data.weight) result.weight = pick(data.weight);
+    if (data.columns) {
+      result.columns = {};
+      for (const name in data.columns) {
+        result.columns[name] = pick(data.columns[name]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Extract position and weight columns
+   * Columnar arrays are copied so they can be transferred without detaching the caller's data.
+   * @param {Array|Object} data - Layer data
+   * @param {Function} getPosition - Position accessor for row data
+   * @param {Function} getWeight - Weight accessor for row data
+   * @returns {Object} {lng: Float64Array, lat: Float64Array, weight: Float32Array}
+   */
+  static toColumns(data, getPosition, getWeight) {
+    const count = DataSource.getLength(data);
+
+    if (DataSource.isColumnar(data)) {
+      return {
+        lng: Float64Array.from(data.lng),
+        lat: Float64Array.from(data.lat),
+        weight: data.weight ? Float32Array.from(data.weight) : new Float32Array(count).fill(1),
+      };
+    }
+
+    const lng = new Float64Array(count);
+    const lat = new Float64Array(count);
+    const weight = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      const [x, y] = getPosition(data[i]);
+      lng[i] = x;
+      lat[i] = y;
+      weight[i] = getWeight(data[i]);
+    }
+
+    return { lng, lat, weight };
+  }
+
+  /**
+   * Concatenate two typed arrays of the same type
+   * @param {TypedArray} a - First array
+   * @param {TypedArray} b - Second array
+   * @returns {TypedArray} New array holding a then b
+   */
+  static concatTyped(a, b) {
+    const result = new a.constructor(a.length + b.length);
+    result.set(a);
+    result.set(b, a.length);
+    return result;
+  }
+
+  /**
+   * Copy a typed array without some of its entries
+   * @param {TypedArray} array - Source array
+   * @param {Uint32Array|Array} rows - Indices to drop, ascending
+   * @returns {TypedArray} New array; later entries shift down
+   */
+  static removeTyped(array, rows) {
+    const result = new array.constructor(array.length - rows.length);
+    let kept = 0;
+    let next = 0;
+    for (let i = 0; i < array.length; i++) {
+      if (next < rows.length && rows[next] === i) {
+        next++;
+        continue;
+      }
+      result[kept++] = array[i];
+    }
+    return result;
+  }
+}
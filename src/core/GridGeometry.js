@@ -0,0 +1,517 @@
+/**
+ * GridGeometry.js
+ * Cell lattice math shared by aggregation, rendering and hit-testing
+ *
+ * A layout is any object carrying {gridType, hexOrientation, cols, rows, cellSizePixels,
+ * originX, originY}. Aggregation results are layouts, so they can be passed straight in.
+ * The origin is the screen position of cell (0, 0)'s lattice corner; it is 0 for
+ * viewport-anchored grids and in (-period, 0] for world-anchored grids.
+ *
+ * Square cells: cellSizePixels is the side length.
+ * Hex cells: cellSizePixels is the distance between adjacent hexagon centers
+ * (the hexagon's flat-to-flat width), so a glyph radius of cellSizePixels / 2
+ * is the inscribed circle for both cell types. Hex rows (pointy-top) or
+ * columns (flat-top) are stored in "odd-r" / "odd-q" offset coordinates.
+ * Adaptive cells (gridType 'adaptive', see Aggregator.binPoints): square quadtree leaves
+ * of varying size in a single row, so col is the cell index and row is 0. cellSizePixels
+ * is the size of the root lattice (rootCols x rootRows), and each root's leaves are
+ * rootOffsets[r]..rootOffsets[r + 1] with positions cellX/cellY and sides cellSize.
+ */
+
+const SQRT3 = Math.sqrt(3);
+
+export class GridGeometry {
+  /**
+   * Create a layout covering a viewport
+   * @param {number} width - Viewport width in pixels
+   * @param {number} height - Viewport height in pixels
+   * @param {number} cellSizePixels - Cell size (see module notes for hex)
+   * @param {Object} options - Layout options
+   * @param {string} options.gridType - 'square' or 'hex' (default: 'square')
+   * @param {string} options.hexOrientation - 'pointy' or 'flat' (default: 'pointy')
+   * @param {Object} options.origin - Lattice origin {x, y} in screen pixels (default: {x: 0, y: 0})
+   * @returns {Object} Layout: {gridType, hexOrientation, cols, rows, cellSizePixels, originX, originY}
+   */
+  static createLayout(width, height, cellSizePixels, options = {}) {
+    const gridType = options.gridType === 'hex' ? 'hex' : 'square';
+    const hexOrientation = options.hexOrientation === 'flat' ? 'flat' : 'pointy';
+    const originX = options.origin ? options.origin.x : 0;
+    const originY = options.origin ? options.origin.y : 0;
+
+    // The lattice starts at the (non-positive) origin, so it must span the extra offset too
+    width -= originX;
+    height -= originY;
+
+    let cols;
+    let rows;
+    if (gridType === 'hex') {
+      const { stepX, stepY } = GridGeometry._hexSteps(cellSizePixels, hexOrientation);
+      // One extra row/column so the shifted half-cells along the far edges are included
+      cols = Math.ceil(width / stepX) + 1;
+      rows = Math.ceil(height / stepY) + 1;
+    } else {
+      cols = Math.ceil(width / cellSizePixels);
+      rows = Math.ceil(height / cellSizePixels);
+    }
+
+    return { gridType, hexOrientation, cols, rows, cellSizePixels, originX, originY };
+  }
+
+  /**
+   * Distance after which the lattice repeats itself along each axis
+   * @param {number} cellSizePixels - Cell size
+   * @param {Object} options - {gridType, hexOrientation}
+   * @returns {Object} {x, y} period in pixels
+   */
+  static latticePeriod(cellSizePixels, options = {}) {
+    if (options.gridType !== 'hex') {
+      return { x: cellSizePixels, y: cellSizePixels };
+    }
+
+    // Offset rows/columns alternate, so the pattern repeats every two of them
+    const { stepX, stepY } = GridGeometry._hexSteps(cellSizePixels, options.hexOrientation);
+    return options.hexOrientation === 'flat'
+      ? { x: stepX * 2, y: stepY }
+      : { x: stepX, y: stepY * 2 };
+  }
+
+  /**
+   * Compute the origin that pins the lattice to world pixel coordinates
+   * @param {number} worldX - World pixel X of the screen's left edge
+   * @param {number} worldY - World pixel Y of the screen's top edge
+   * @param {number} cellSizePixels - Cell size
+   * @param {Object} options - {gridType, hexOrientation}
+   * @returns {Object} {x, y} origin in (-period, 0]
+   */
+  static anchoredOrigin(worldX, worldY, cellSizePixels, options = {}) {
+    const period = GridGeometry.latticePeriod(cellSizePixels, options);
+    const mod = (v, m) => ((v % m) + m) % m;
+    return { x: -mod(worldX, period.x), y: -mod(worldY, period.y) };
+  }
+
+  /**
+   * Find the linear index of the cell containing a screen point
+   * @param {Object} layout - Grid layout
+   * @param {number} x - Screen X
+   * @param {number} y - Screen Y
+   * @returns {number} Cell index (row * cols + col), or -1 when outside the grid
+   */
+  static indexAt(layout, x, y) {
+    if (layout.gridType === 'adaptive') {
+      return GridGeometry._adaptiveIndexAt(layout, x, y);
+    }
+
+    const { cols, rows, cellSizePixels } = layout;
+    x -= layout.originX || 0;
+    y -= layout.originY || 0;
+    let col;
+    let row;
+
+    if (layout.gridType === 'hex') {
+      [col, row] = GridGeometry._hexAt(x, y, cellSizePixels, layout.hexOrientation);
+    } else {
+      col = Math.floor(x / cellSizePixels);
+      row = Math.floor(y / cellSizePixels);
+    }
+
+    if (col < 0 || col >= cols || row < 0 || row >= rows) {
+      return -1;
+    }
+
+    return row * cols + col;
+  }
+
+  /**
+   * Find the cell containing a screen point
+   * @param {Object} layout - Grid layout
+   * @param {number} x - Screen X
+   * @param {number} y - Screen Y
+   * @returns {Object|null} {col, row, index} or null when outside the grid
+   */
+  static locate(layout, x, y) {
+    const index = GridGeometry.indexAt(layout, x, y);
+    if (index < 0) return null;
+
+    return { col: index % layout.cols, row: Math.floor(index / layout.cols), index };
+  }
+
+  /**
+   * List the cells around a cell
+   * Square cells use the 4-connected (von Neumann) or 8-connected (Moore) neighborhood,
+   * measured in steps; hex cells are always 6-connected and use hex ring distance.
+   * Adaptive cells count steps between touching cells (sharing an edge, or for
+   * connectivity 8 also a corner).
+   * @param {Object} layout - Grid layout
+   * @param {number} col - Column index
+   * @param {number} row - Row index
+   * @param {number} radius - Neighborhood size in steps (default: 1)
+   * @param {number} connectivity - 4 or 8, ignored for hex grids (default: 8)
+   * @returns {Array} [{col, row, index, distance}] inside the grid, ordered by distance then index;
+   *   the cell itself is excluded
+   */
+  static neighbors(layout, col, row, radius = 1, connectivity = 8) {
+    if (layout.gridType === 'adaptive') {
+      return GridGeometry._adaptiveNeighbors(layout, col, radius, connectivity);
+    }
+
+    const { cols, rows } = layout;
+    const hex = layout.gridType === 'hex';
+    // Hex offset rows/columns shift by half a cell, so widen the scan window by one
+    const reach = hex ? radius + 1 : radius;
+    const origin = hex ? GridGeometry._hexToAxial(layout, col, row) : null;
+    const cells = [];
+
+    for (let r = Math.max(0, row - reach); r <= Math.min(rows - 1, row + reach); r++) {
+      for (let c = Math.max(0, col - reach); c <= Math.min(cols - 1, col + reach); c++) {
+        let distance;
+        if (hex) {
+          const [q, ar] = GridGeometry._hexToAxial(layout, c, r);
+          const dq = q - origin[0];
+          const dr = ar - origin[1];
+          distance = (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+        } else if (connectivity === 4) {
+          distance = Math.abs(c - col) + Math.abs(r - row);
+        } else {
+          distance = Math.max(Math.abs(c - col), Math.abs(r - row));
+        }
+
+        if (distance > 0 && distance <= radius) {
+          cells.push({ col: c, row: r, index: r * cols + c, distance });
+        }
+      }
+    }
+
+    return cells.sort((a, b) => a.distance - b.distance || a.index - b.index);
+  }
+
+  /**
+   * Get the center of a cell
+   * @param {Object} layout - Grid layout
+   * @param {number} col - Column index
+   * @param {number} row - Row index
+   * @returns {Object} {x, y}
+   */
+  static cellCenter(layout, col, row) {
+    if (layout.gridType === 'adaptive') {
+      const half = layout.cellSize[col] / 2;
+      return { x: layout.cellX[col] + half, y: layout.cellY[col] + half };
+    }
+
+    const { cellSizePixels } = layout;
+    const originX = layout.originX || 0;
+    const originY = layout.originY || 0;
+
+    if (layout.gridType === 'hex') {
+      const { stepX, stepY } = GridGeometry._hexSteps(cellSizePixels, layout.hexOrientation);
+      if (layout.hexOrientation === 'flat') {
+        return { x: originX + col * stepX, y: originY + (row + 0.5 * (col & 1)) * stepY };
+      }
+      return { x: originX + (col + 0.5 * (row & 1)) * stepX, y: originY + row * stepY };
+    }
+
+    return {
+      x: originX + (col + 0.5) * cellSizePixels,
+      y: originY + (row + 0.5) * cellSizePixels,
+    };
+  }
+
+  /**
+   * Get the axis-aligned bounding box of a cell
+   * @param {Object} layout - Grid layout
+   * @param {number} col - Column index
+   * @param {number} row - Row index
+   * @returns {Object} {x, y, width, height}
+   */
+  static cellBounds(layout, col, row) {
+    const { cellSizePixels } = layout;
+
+    if (layout.gridType === 'adaptive') {
+      const size = layout.cellSize[col];
+      return { x: layout.cellX[col], y: layout.cellY[col], width: size, height: size };
+    }
+
+    if (layout.gridType === 'hex') {
+      const center = GridGeometry.cellCenter(layout, col, row);
+      const radius = cellSizePixels / SQRT3;
+      const halfW = layout.hexOrientation === 'flat' ? radius : cellSizePixels / 2;
+      const halfH = layout.hexOrientation === 'flat' ? cellSizePixels / 2 : radius;
+      return { x: center.x - halfW, y: center.y - halfH, width: halfW * 2, height: halfH * 2 };
+    }
+
+    return {
+      x: (layout.originX || 0) + col * cellSizePixels,
+      y: (layout.originY || 0) + row * cellSizePixels,
+      width: cellSizePixels,
+      height: cellSizePixels,
+    };
+  }
+
+  /**
+   * Get the size of a cell: its side for square and adaptive cells, its flat-to-flat width for hex cells
+   * @param {Object} layout - Grid layout
+   * @param {number} col - Column index
+   * @param {number} row - Row index
+   * @returns {number} Cell size in pixels
+   */
+  static cellSizeAt(layout, col, row) {
+    return layout.gridType === 'adaptive' ? layout.cellSize[col] : layout.cellSizePixels;
+  }
+
+  /**
+   * Get the part of a cell's bounding box that lies inside the viewport
+   * @param {Object} layout - Grid layout (needs width and height, e.g. an aggregation result)
+   * @param {number} col - Column index
+   * @param {number} row - Row index
+   * @returns {Object} {x, y, width, height, partial} where partial is true when the cell is clipped
+   */
+  static visibleBounds(layout, col, row) {
+    const box = GridGeometry.cellBounds(layout, col, row);
+    const x0 = Math.max(0, box.x);
+    const y0 = Math.max(0, box.y);
+    const x1 = Math.min(layout.width, box.x + box.width);
+    const y1 = Math.min(layout.height, box.y + box.height);
+    return {
+      x: x0,
+      y: y0,
+      width: Math.max(0, x1 - x0),
+      height: Math.max(0, y1 - y0),
+      partial: x0 > box.x || y0 > box.y || x1 < box.x + box.width || y1 < box.y + box.height,
+    };
+  }
+
+  /**
+   * Flag the cells that overlap the viewport
+   * @param {Object} layout - Grid layout
+   * @param {number} width - Viewport width in pixels
+   * @param {number} height - Viewport height in pixels
+   * @returns {Uint8Array} 1 for cells with a visible area, 0 for cells entirely off-screen
+   */
+  static visibleMask(layout, width, height) {
+    const { cols, rows } = layout;
+    const mask = new Uint8Array(cols * rows);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const box = GridGeometry.cellBounds(layout, col, row);
+        if (box.x < width && box.x + box.width > 0 && box.y < height && box.y + box.height > 0) {
+          mask[row * cols + col] = 1;
+        }
+      }
+    }
+    return mask;
+  }
+
+  /**
+   * Get the polygon outline of a cell
+   * @param {Object} layout - Grid layout
+   * @param {number} col - Column index
+   * @param {number} row - Row index
+   * @param {number} inset - Pixels to shrink the cell by on every side (default: 0)
+   * @returns {Array} Array of [x, y] vertices
+   */
+  static cellPolygon(layout, col, row, inset = 0) {
+    if (layout.gridType === 'hex') {
+      const center = GridGeometry.cellCenter(layout, col, row);
+      // Scale the circumradius so the flat sides move in by exactly `inset`
+      const radius = Math.max(0, layout.cellSizePixels / 2 - inset) * (2 / SQRT3);
+      const startAngle = layout.hexOrientation === 'flat' ? 0 : -Math.PI / 6;
+      const vertices = [];
+      for (let i = 0; i < 6; i++) {
+        const angle = startAngle + (i * Math.PI) / 3;
+        vertices.push([center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle)]);
+      }
+      return vertices;
+    }
+
+    const { x, y, width, height } = GridGeometry.cellBounds(layout, col, row);
+    const x0 = x + inset;
+    const y0 = y + inset;
+    const x1 = x0 + Math.max(0, width - inset * 2);
+    const y1 = y0 + Math.max(0, height - inset * 2);
+    return [
+      [x0, y0],
+      [x1, y0],
+      [x1, y1],
+      [x0, y1],
+    ];
+  }
+
+  /**
+   * Add a cell outline to the current canvas path
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} layout - Grid layout
+   * @param {number} col - Column index
+   * @param {number} row - Row index
+   * @param {number} inset - Pixels to shrink the cell by on every side (default: 0)
+   * @param {number} cornerRadius - Corner rounding in pixels, capped at half the shortest side (default: 0)
+   */
+  static traceCell(ctx, layout, col, row, inset = 0, cornerRadius = 0) {
+    const vertices = GridGeometry.cellPolygon(layout, col, row, inset);
+    const n = vertices.length;
+
+    if (cornerRadius > 0) {
+      let shortest = Infinity;
+      for (let i = 0; i < n; i++) {
+        const [x0, y0] = vertices[i];
+        const [x1, y1] = vertices[(i + 1) % n];
+        shortest = Math.min(shortest, Math.hypot(x1 - x0, y1 - y0));
+      }
+      const radius = Math.min(cornerRadius, shortest / 2);
+      if (radius > 0) {
+        // Start mid-edge so every corner, including the first, is rounded by arcTo
+        const [lx, ly] = vertices[n - 1];
+        ctx.moveTo((lx + vertices[0][0]) / 2, (ly + vertices[0][1]) / 2);
+        for (let i = 0; i < n; i++) {
+          const [x, y] = vertices[i];
+          const [nx, ny] = vertices[(i + 1) % n];
+          ctx.arcTo(x, y, nx, ny, radius);
+        }
+        ctx.closePath();
+        return;
+      }
+    }
+
+    ctx.moveTo(vertices[0][0], vertices[0][1]);
+    for (let i = 1; i < n; i++) {
+      ctx.lineTo(vertices[i][0], vertices[i][1]);
+    }
+    ctx.closePath();
+  }
+
+  /**
+   * Find the adaptive cell containing a screen point: locate its root, then scan the root's leaves
+   * @private
+   */
+  static _adaptiveIndexAt(layout, x, y) {
+    const { cellSizePixels, rootCols, rootRows, rootOffsets, cellX, cellY, cellSize } = layout;
+    const col = Math.floor((x - (layout.originX || 0)) / cellSizePixels);
+    const row = Math.floor((y - (layout.originY || 0)) / cellSizePixels);
+    if (col < 0 || col >= rootCols || row < 0 || row >= rootRows) {
+      return -1;
+    }
+
+    const root = row * rootCols + col;
+    for (let i = rootOffsets[root]; i < rootOffsets[root + 1]; i++) {
+      if (x >= cellX[i] && x < cellX[i] + cellSize[i] && y >= cellY[i] && y < cellY[i] + cellSize[i]) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Breadth-first search over touching adaptive cells
+   * Leaves never outgrow a root, so touching leaves always lie in the 3x3 roots around a leaf.
+   * @private
+   */
+  static _adaptiveNeighbors(layout, index, radius, connectivity) {
+    const { cellSizePixels, rootCols, rootRows, rootOffsets, cellX, cellY, cellSize } = layout;
+    const originX = layout.originX || 0;
+    const originY = layout.originY || 0;
+    const eps = 1e-6;
+
+    const touching = (i) => {
+      const x0 = cellX[i];
+      const y0 = cellY[i];
+      const x1 = x0 + cellSize[i];
+      const y1 = y0 + cellSize[i];
+      const col = Math.floor((x0 - originX) / cellSizePixels + eps);
+      const row = Math.floor((y0 - originY) / cellSizePixels + eps);
+      const found = [];
+
+      for (let r = Math.max(0, row - 1); r <= Math.min(rootRows - 1, row + 1); r++) {
+        for (let c = Math.max(0, col - 1); c <= Math.min(rootCols - 1, col + 1); c++) {
+          const root = r * rootCols + c;
+          for (let j = rootOffsets[root]; j < rootOffsets[root + 1]; j++) {
+            if (j === i) continue;
+            // Overlap of the two boxes along each axis: 0 when they only meet, negative when apart
+            const ox = Math.min(x1, cellX[j] + cellSize[j]) - Math.max(x0, cellX[j]);
+            const oy = Math.min(y1, cellY[j] + cellSize[j]) - Math.max(y0, cellY[j]);
+            if (ox < -eps || oy < -eps) continue;
+            if (connectivity === 4 && ox <= eps && oy <= eps) continue;
+            found.push(j);
+          }
+        }
+      }
+      return found;
+    };
+
+    const distances = new Map([[index, 0]]);
+    let frontier = [index];
+    for (let distance = 1; distance <= radius && frontier.length > 0; distance++) {
+      const next = [];
+      for (const i of frontier) {
+        for (const j of touching(i)) {
+          if (!distances.has(j)) {
+            distances.set(j, distance);
+            next.push(j);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    const cells = [];
+    for (const [i, distance] of distances) {
+      if (distance > 0) cells.push({ col: i, row: 0, index: i, distance });
+    }
+    return cells.sort((a, b) => a.distance - b.distance || a.index - b.index);
+  }
+
+  /**
+   * Spacing between hex centers along each axis
+   * @private
+   */
+  static _hexSteps(cellSizePixels, orientation) {
+    const radius = cellSizePixels / SQRT3;
+    return orientation === 'flat'
+      ? { stepX: 1.5 * radius, stepY: cellSizePixels }
+      : { stepX: cellSizePixels, stepY: 1.5 * radius };
+  }
+
+  /**
+   * Convert hex offset coordinates to axial [q, r]
+   * @private
+   */
+  static _hexToAxial(layout, col, row) {
+    if (layout.hexOrientation === 'flat') {
+      return [col, row - (col - (col & 1)) / 2];
+    }
+    return [col - (row - (row & 1)) / 2, row];
+  }
+
+  /**
+   * Convert a screen point to hex offset coordinates via cube rounding
+   * @private
+   */
+  static _hexAt(x, y, cellSizePixels, orientation) {
+    const radius = cellSizePixels / SQRT3;
+    let q;
+    let r;
+    if (orientation === 'flat') {
+      q = ((2 / 3) * x) / radius;
+      r = ((-1 / 3) * x + (SQRT3 / 3) * y) / radius;
+    } else {
+      q = ((SQRT3 / 3) * x - (1 / 3) * y) / radius;
+      r = ((2 / 3) * y) / radius;
+    }
+
+    // Cube rounding keeps points on the correct side of slanted hex edges
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+    if (dq > dr && dq > ds) {
+      rq = -rr - rs;
+    } else if (dr > ds) {
+      rr = -rq - rs;
+    }
+
+    if (orientation === 'flat') {
+      return [rq, rr + (rq - (rq & 1)) / 2];
+    }
+    return [rq + (rr - (rr & 1)) / 2, rr];
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Lens.js
+ * Focus+context magnifier: re-aggregates the points under the pointer at a finer cell size
+ *
+ * The lens shows the source circle of radius `radius / magnification` around the pointer,
+ * scaled up to `radius`. Its points are re-binned in a local frame, a square of side
+ * 2 * radius whose top-left corner sits at (centerX - radius, centerY - radius) on screen.
+ * The fine lattice is aligned with the layer's grid, so it stays put while the lens moves.
+ */
+
+import { Aggregator } from './Aggregator.js';
+import { CellQueryEngine } from './CellQueryEngine.js';
+import { DataSource } from './DataSource.js';
+import { GridGeometry } from './GridGeometry.js';
+
+export class Lens {
+  static DEFAULTS = {
+    radius: 100,
+    magnification: 2,
+    cellSizeFactor: 0.5,
+    stroke: 'rgba(0, 0, 0, 0.5)',
+    strokeWidth: 2,
+  };
+
+  /**
+   * Merge lens options over the defaults
+   * @param {Object|boolean} options - Lens options, or true for the defaults
+   * @returns {Object} Lens options
+   * @throws {Error} If radius, magnification or cellSizeFactor is not positive
+   */
+  static normalizeOptions(options) {
+    const lens = { ...Lens.DEFAULTS, ...(typeof options === 'object' ? options : {}) };
+    for (const key of ['radius', 'magnification', 'cellSizeFactor']) {
+      if (!(lens[key] > 0)) {
+        throw new Error(`Lens: ${key} must be a positive number, got ${lens[key]}`);
+      }
+    }
+    return lens;
+  }
+
+  /**
+   * Re-aggregate the points around a screen position
+   * @param {Object} aggregationResult - The layer's aggregation result (its xs/ys are reused)
+   * @param {Array|Object} data - Layer data the result was built from
+   * @param {Object} center - {x, y} lens center on screen
+   * @param {Object} lens - Options from normalizeOptions()
+   * @param {Object} options - {aggregations} as in Aggregator.aggregate()
+   * @returns {Object|null} Aggregation result in the lens frame, plus offsetX/offsetY (screen
+   *   position of the frame) and radius; null when the layer has no result
+   */
+  static aggregate(aggregationResult, data, center, lens, options = {}) {
+    if (!aggregationResult || !center) return null;
+
+    const { radius, magnification, cellSizeFactor } = lens;
+    const size = radius * 2;
+    const sourceRadius = radius / magnification;
+    const cellSize = aggregationResult.cellSizePixels * cellSizeFactor * magnification;
+    const { xs, ys, ws } = aggregationResult;
+
+    // Only the layer's cells around the source square can hold points inside it
+    const cells = CellQueryEngine.getCellsInBounds(aggregationResult, {
+      minX: center.x - sourceRadius,
+      minY: center.y - sourceRadius,
+      maxX: center.x + sourceRadius,
+      maxY: center.y + sourceRadius,
+    });
+
+    const indices = [];
+    for (const cell of cells) {
+      for (const i of Aggregator.getCellPointIndices(aggregationResult, cell.index)) {
+        if (Math.abs(xs[i] - center.x) <= sourceRadius && Math.abs(ys[i] - center.y) <= sourceRadius) {
+          indices.push(i);
+        }
+      }
+    }
+
+    const x = new Float32Array(indices.length);
+    const y = new Float32Array(indices.length);
+    const w = new Float64Array(indices.length);
+    for (let k = 0; k < indices.length; k++) {
+      const i = indices[k];
+      x[k] = radius + (xs[i] - center.x) * magnification;
+      y[k] = radius + (ys[i] - center.y) * magnification;
+      w[k] = ws[i];
+    }
+
+    // Place the fine lattice where the layer's lattice would put it, magnified
+    const gridOptions = {
+      gridType: aggregationResult.gridType,
+      hexOrientation: aggregationResult.hexOrientation,
+    };
+    const alignX = radius + ((aggregationResult.originX || 0) - center.x) * magnification;
+    const alignY = radius + ((aggregationResult.originY || 0) - center.y) * magnification;
+    const origin = GridGeometry.anchoredOrigin(-alignX, -alignY, cellSize, gridOptions);
+
+    const result = Aggregator.aggregate(
+      { x, y, w },
+      DataSource.subset(data, indices),
+      size,
+      size,
+      cellSize,
+      { ...gridOptions, origin, aggregations: options.aggregations }
+    );
+    result.offsetX = center.x - radius;
+    result.offsetY = center.y - radius;
+    result.radius = radius;
+    return result;
+  }
+}
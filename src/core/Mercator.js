@@ -0,0 +1,120 @@
+/**
+ * Mercator.js
+ * Web Mercator world-pixel math matching MapLibre's 512px tile pyramid
+ */
+
+const TILE_SIZE = 512;
+const MAX_LATITUDE = 85.051129;
+// MapLibre's default vertical field of view (radians)
+const DEFAULT_FOV = 0.6435011087932844;
+
+export class Mercator {
+  static TILE_SIZE = TILE_SIZE;
+
+  /**
+   * Size of the world in pixels at a zoom level
+   * @param {number} zoom - Map zoom
+   * @returns {number} World size in pixels
+   */
+  static worldSize(zoom) {
+    return TILE_SIZE * Math.pow(2, zoom);
+  }
+
+  /**
+   * Convert longitude/latitude to world pixel coordinates
+   * @param {number} lng - Longitude in degrees
+   * @param {number} lat - Latitude in degrees
+   * @param {number} zoom - Map zoom
+   * @returns {Object} {x, y} world pixels, origin at the top-left of the world
+   */
+  static lngLatToWorld(lng, lat, zoom) {
+    const size = Mercator.worldSize(zoom);
+    const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+    const sin = Math.sin((clampedLat * Math.PI) / 180);
+    return {
+      x: ((lng + 180) / 360) * size,
+      y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+    };
+  }
+
+  /**
+   * Convert world pixel coordinates back to longitude/latitude
+   * @param {number} x - World X in pixels
+   * @param {number} y - World Y in pixels
+   * @param {number} zoom - Map zoom
+   * @returns {Array} [lng, lat]
+   */
+  static worldToLngLat(x, y, zoom) {
+    const size = Mercator.worldSize(zoom);
+    const lng = (x / size) * 360 - 180;
+    const n = Math.PI - (2 * Math.PI * y) / size;
+    const lat = (180 / Math.PI) * Math.atan(Math.sinh(n));
+    return [lng, lat];
+  }
+
+  /**
+   * Capture the camera state needed to project without a map instance
+   * @param {Object} map - MapLibre GL map instance
+   * @param {number} width - Viewport width in CSS pixels
+   * @param {number} height - Viewport height in CSS pixels
+   * @returns {Object} Camera: {center, centerPoint, zoom, bearing, pitch, width, height}
+   */
+  static getCamera(map, width, height) {
+    const center = map.getCenter();
+    const centerPoint = map.project(center);
+    return {
+      center: [center.lng, center.lat],
+      centerPoint: { x: centerPoint.x, y: centerPoint.y },
+      zoom: map.getZoom(),
+      bearing: map.getBearing(),
+      pitch: map.getPitch(),
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Create a projection function equivalent to map.project() for a camera state
+   *
+   * Models MapLibre's perspective camera looking at the center point; terrain is ignored.
+   * Points behind the camera project to NaN.
+   * @param {Object} camera - Camera from getCamera()
+   * @returns {Function} (lng, lat, out) => out, where out is an {x, y} object to fill
+   */
+  static createProjector(camera) {
+    const { zoom, width, height } = camera;
+    const centerPoint = camera.centerPoint || { x: width / 2, y: height / 2 };
+    const centerWorld = Mercator.lngLatToWorld(camera.center[0], camera.center[1], zoom);
+    const bearing = ((camera.bearing || 0) * Math.PI) / 180;
+    const pitch = ((camera.pitch || 0) * Math.PI) / 180;
+    const cos = Math.cos(-bearing);
+    const sin = Math.sin(-bearing);
+    const cosPitch = Math.cos(pitch);
+    const sinPitch = Math.sin(pitch);
+    const cameraDistance = (0.5 * height) / Math.tan((camera.fov || DEFAULT_FOV) / 2);
+    const size = Mercator.worldSize(zoom);
+
+    return (lng, lat, out) => {
+      // Inlined lngLatToWorld: this runs once per point
+      const clampedLat = lat > MAX_LATITUDE ? MAX_LATITUDE : lat < -MAX_LATITUDE ? -MAX_LATITUDE : lat;
+      const sinLat = Math.sin((clampedLat * Math.PI) / 180);
+      const dx = ((lng + 180) / 360) * size - centerWorld.x;
+      const dy = (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * size - centerWorld.y;
+
+      // Rotate into screen axes, then apply the pitched perspective
+      const rx = dx * cos - dy * sin;
+      const ry = dx * sin + dy * cos;
+      const depth = cameraDistance - ry * sinPitch;
+
+      if (depth <= 0) {
+        out.x = NaN;
+        out.y = NaN;
+      } else {
+        const scale = cameraDistance / depth;
+        out.x = centerPoint.x + rx * scale;
+        out.y = centerPoint.y + ry * cosPitch * scale;
+      }
+      return out;
+    };
+  }
+}
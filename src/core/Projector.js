@@ -3,36 +3,44 @@
  * Pure function for projecting geographic coordinates to screen space
  */
 
+import { DataSource } from './DataSource.js';
+
 export class Projector {
   /**
    * Project geographic coordinates to screen space
-   * @param {Array} data - Array of data points
+   * @param {Array|Object} data - Array of data points, or columnar data (see DataSource)
    * @param {Function} getPosition - Function to extract [lng, lat] from data point
    * @param {Function} getWeight - Function to extract weight from data point
    * @param {Object} map - MapLibre GL map instance
-   * @returns {Array} Array of projected points {x, y, w}
+   * @param {Uint32Array|Array|null} candidates - Row indices to project (e.g. from SpatialIndex);
+   *   the other rows are skipped. null projects every row.
+   * @returns {Array|Object} Array of projected points {x, y, w}, or for columnar data
+   *   typed columns {length, x: Float32Array, y: Float32Array, w: Float32Array}.
+   *   Output stays aligned with the data rows; skipped rows are null (NaN for columnar data).
    */
-  static projectPoints(data, getPosition, getWeight, map) {
+  static projectPoints(data, getPosition, getWeight, map, candidates = null) {
     if (!map || !data || data.length === 0) {
       return [];
     }
 
+    if (DataSource.isColumnar(data)) {
+      return Projector._projectColumns(data, map, candidates);
+    }
+
+    if (candidates) {
+      const projected = new Array(data.length).fill(null);
+      for (let k = 0; k < candidates.length; k++) {
+        const i = candidates[k];
+        projected[i] = Projector.projectPoint(data[i], getPosition, getWeight, map);
+      }
+      return projected;
+    }
+
     // console.log('Projecting points:', {
     //   dataLength: data.length,
     // });
 
-    const projected = data.map((d, i) => {
-      const [lng, lat] = getPosition(d);
-      const p = map.project([lng, lat]);
-      const x = p.x;
-      const y = p.y;
-
-      // if (i < 3) {
-      //   console.log(`Point ${i}:`, { lng, lat, projected: p, transformed: { x, y } });
-      // }
-
-      return { x, y, w: getWeight(d) };
-    });
+    const projected = data.map((d) => Projector.projectPoint(d, getPosition, getWeight, map));
 
     console.log('Points projected:', {
       total: projected.length,
@@ -42,6 +50,49 @@ export class Projector {
     return projected;
   }
 
+  /**
+   * Project a single data point
+   * @param {Object} d - Data point
+   * @param {Function} getPosition - Function to extract [lng, lat] from data point
+   * @param {Function} getWeight - Function to extract weight from data point
+   * @param {Object} map - MapLibre GL map instance
+   * @returns {Object} Projected point {x, y, w}
+   */
+  static projectPoint(d, getPosition, getWeight, map) {
+    const [lng, lat] = getPosition(d);
+    const p = map.project([lng, lat]);
+    return { x: p.x, y: p.y, w: getWeight(d) };
+  }
+
+  /**
+   * Project columnar data by row index, without per-point objects
+   * @private
+   */
+  static _projectColumns(data, map, candidates = null) {
+    const { length, lng, lat, weight } = data;
+    const x = new Float32Array(length);
+    const y = new Float32Array(length);
+    const w = weight ? Float32Array.from(weight) : new Float32Array(length).fill(1);
+    const lngLat = [0, 0];
+    const count = candidates ? candidates.length : length;
+
+    if (candidates) {
+      x.fill(NaN);
+      y.fill(NaN);
+    }
+
+    for (let k = 0; k < count; k++) {
+      const i = candidates ? candidates[k] : k;
+      lngLat[0] = lng[i];
+      lngLat[1] = lat[i];
+      const p = map.project(lngLat);
+      x[i] = p.x;
+      y[i] = p.y;
+    }
+
+    return { length, x, y, w };
+  }
+
   /**
    * Instance method for convenience when used as a class instance
    */
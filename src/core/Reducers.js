@@ -0,0 +1,87 @@
+/**
+ * Reducers.js
+ * Per-cell reduction operations used by named aggregations
+ */
+
+import { DataSource } from './DataSource.js';
+
+export class Reducers {
+  /**
+   * Supported reduction operations
+   */
+  static OPS = ['count', 'sum', 'mean', 'min', 'max', 'median', 'distinct'];
+
+  /**
+   * Normalize an aggregation spec
+   * @param {string} name - Aggregate name (used in error messages)
+   * @param {Object} spec - {field, op}
+   * @param {Function|string} spec.field - Value accessor `(d) => value` or property name. Defaults to the point weight.
+   * @param {string} spec.op - One of Reducers.OPS (default: 'sum')
+   * @param {Array|Object} data - Layer data (array or columnar)
+   * @param {Float32Array|Array} weights - Weight per point, used when no field is given
+   * @returns {Object} {name, op, getValue} where getValue(i) reads the value of point/row i
+   * @throws {Error} If the operation is unknown
+   */
+  static normalize(name, spec = {}, data = null, weights = null) {
+    const op = spec.op || 'sum';
+    if (!Reducers.OPS.includes(op)) {
+      throw new Error(`Unknown aggregation op "${op}" for "${name}"`);
+    }
+
+    let getValue;
+    if (typeof spec.field === 'function') {
+      getValue = (i) => spec.field(DataSource.getRow(data, i));
+    } else if (typeof spec.field === 'string') {
+      getValue = (i) => DataSource.getValue(data, i, spec.field);
+    } else {
+      getValue = (i) => weights[i];
+    }
+
+    return { name, op, getValue };
+  }
+
+  /**
+   * Reduce the points of a single cell
+   * @param {string} op - Reduction operation
+   * @param {Uint32Array|Array} items - Point indices of the cell
+   * @param {Function} getValue - Reads the value of a point index
+   * @returns {number} Reduced value (NaN for min/max/mean/median of an empty cell)
+   */
+  static reduce(op, items, getValue) {
+    if (op === 'count') return items.length;
+
+    if (op === 'distinct') {
+      const seen = new Set();
+      for (let i = 0; i < items.length; i++) {
+        seen.add(getValue(items[i]));
+      }
+      return seen.size;
+    }
+
+    // Numeric ops skip null/NaN values
+    const values = [];
+    for (let i = 0; i < items.length; i++) {
+      const v = getValue(items[i]);
+      if (v != null && !isNaN(v)) values.push(+v);
+    }
+
+    switch (op) {
+      case 'sum':
+        return values.reduce((a, b) => a + b, 0);
+      case 'mean':
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : NaN;
+      case 'min':
+        return values.length > 0 ? values.reduce((a, b) => (b < a ? b : a)) : NaN;
+      case 'max':
+        return values.length > 0 ? values.reduce((a, b) => (b > a ? b : a)) : NaN;
+      case 'median': {
+        if (values.length === 0) return NaN;
+        values.sort((a, b) => a - b);
+        const mid = values.length >> 1;
+        return values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+      }
+      default:
+        return NaN;
+    }
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Scales.js
+ * Value scales that map cell values to the normalized [0, 1] input of colorScale
+ *
+ * A scale is resolved once per aggregation (or when its options change) and then
+ * shared by the Renderer and the Legend, so both agree on the domain and class breaks.
+ */
+
+export class Scales {
+  /**
+   * Supported scale types
+   * Continuous: linear, log, sqrt. Classed (stepped output): quantile, quantize, threshold.
+   */
+  static TYPES = ['linear', 'log', 'sqrt', 'quantile', 'quantize', 'threshold'];
+
+  /**
+   * Default scale options
+   */
+  static DEFAULTS = {
+    type: 'linear',
+    domain: 'viewport',
+    percentiles: [5, 95],
+    classes: 5,
+    thresholds: null,
+    clamp: true,
+  };
+
+  /**
+   * Resolve scale options against the current values
+   * @param {Object|string} options - Scale options, or just a type name
+   * @param {string} options.type - One of Scales.TYPES (default: 'linear')
+   * @param {string|Array} options.domain - 'viewport' (visible cells), 'dataset' (all data),
+   *   'percentile' (visible cells clamped to `percentiles`), or a fixed [min, max]
+   * @param {Array} options.percentiles - [low, high] percentiles for the 'percentile' domain (default: [5, 95])
+   * @param {number} options.classes - Class count for quantile and quantize (default: 5)
+   * @param {Array} options.thresholds - Ascending class breaks for the threshold type
+   * @param {boolean} options.clamp - Clamp continuous output to [0, 1] (default: true)
+   * @param {ArrayLike} cellValues - Values of the drawn cells
+   * @param {ArrayLike|null} datasetValues - Cell values over the full dataset, for the 'dataset' domain
+   * @returns {Object} Scale: {type, domainMode, domain: [min, max], breaks, classes, discrete, normalize(v), invert(t)}
+   * @throws {Error} If the type is unknown
+   */
+  static resolve(options, cellValues, datasetValues = null) {
+    const opts = Scales.normalizeOptions(options);
+
+    let sample = cellValues;
+    if (opts.domain === 'dataset') {
+      if (datasetValues) {
+        sample = datasetValues;
+      } else {
+        console.warn('Scales: dataset values unavailable, using the viewport domain');
+      }
+    }
+
+    const sorted = Scales._sortedFinite(sample);
+    let domain;
+    if (Array.isArray(opts.domain)) {
+      domain = [+opts.domain[0], +opts.domain[1]];
+    } else if (opts.domain === 'percentile') {
+      domain = [
+        Scales.percentile(sorted, opts.percentiles[0]),
+        Scales.percentile(sorted, opts.percentiles[1]),
+      ];
+    } else {
+      domain = sorted.length > 0 ? [sorted[0], sorted[sorted.length - 1]] : [0, 0];
+    }
+
+    return Scales.create(opts, domain, sorted);
+  }
+
+  /**
+   * Fill in defaults and validate scale options
+   * @param {Object|string} options - Scale options or type name
+   * @returns {Object} Complete options
+   * @throws {Error} If the type is unknown
+   */
+  static normalizeOptions(options) {
+    const opts =
+      typeof options === 'string'
+        ? { ...Scales.DEFAULTS, type: options }
+        : { ...Scales.DEFAULTS, ...options };
+
+    if (!Scales.TYPES.includes(opts.type)) {
+      throw new Error(`Unknown scale type "${opts.type}"`);
+    }
+    return opts;
+  }
+
+  /**
+   * Build a scale for a known domain
+   * @param {Object} opts - Complete scale options (see normalizeOptions)
+   * @param {Array} domain - [min, max]
+   * @param {Array} sorted - Sorted finite sample values, used for quantile breaks and log fallbacks
+   * @returns {Object} Scale (see resolve)
+   */
+  static create(opts, domain, sorted = []) {
+    let [min, max] = domain;
+    const { type } = opts;
+
+    if (type === 'log' && min <= 0) {
+      // Log scales need a positive lower bound; use the smallest positive value seen
+      const positive = sorted.find((v) => v > 0);
+      min = positive !== undefined ? Math.min(positive, max > 0 ? max : positive) : 1;
+    }
+
+    const scale = {
+      type,
+      domainMode: Array.isArray(opts.domain) ? 'fixed' : opts.domain,
+      domain: [min, max],
+      breaks: [],
+      classes: null,
+      discrete: false,
+      normalize: null,
+      invert: null,
+    };
+
+    if (type === 'linear' || type === 'log' || type === 'sqrt') {
+      const transform = Scales._transforms[type];
+      const t0 = transform(min);
+      const t1 = transform(max);
+      const span = t1 - t0;
+
+      scale.normalize = (v) => {
+        if (span === 0) return v >= max ? 1 : 0;
+        const t = (transform(v) - t0) / span;
+        if (isNaN(t)) return 0;
+        return opts.clamp ? Math.max(0, Math.min(1, t)) : t;
+      };
+      scale.invert = (t) => Scales._inverses[type](t0 + t * span);
+      return scale;
+    }
+
+    // Classed scales
+    let breaks;
+    if (type === 'threshold') {
+      breaks = (opts.thresholds || []).slice().sort((a, b) => a - b);
+    } else if (type === 'quantize') {
+      breaks = [];
+      for (let i = 1; i < opts.classes; i++) {
+        breaks.push(min + ((max - min) * i) / opts.classes);
+      }
+    } else {
+      const inDomain = sorted.filter((v) => v >= min && v <= max);
+      breaks = [];
+      for (let i = 1; i < opts.classes; i++) {
+        breaks.push(Scales.percentile(inDomain, (100 * i) / opts.classes));
+      }
+    }
+
+    const classes = breaks.length + 1;
+    scale.breaks = breaks;
+    scale.classes = classes;
+    scale.discrete = true;
+    scale.normalize = (v) => (classes > 1 ? Scales._classOf(breaks, v) / (classes - 1) : 1);
+    scale.invert = (t) => {
+      const k = Math.round(t * (classes - 1));
+      return k === 0 ? min : breaks[k - 1];
+    };
+    return scale;
+  }
+
+  /**
+   * Class ranges of a classed scale
+   * @param {Object} scale - Resolved scale
+   * @returns {Array} [{from, to, normalizedValue}] per class, from the lowest
+   */
+  static getClasses(scale) {
+    if (!scale.discrete) return [];
+
+    const bounds = [scale.domain[0], ...scale.breaks, scale.domain[1]];
+    const classes = [];
+    for (let k = 0; k < scale.classes; k++) {
+      classes.push({
+        from: bounds[k],
+        to: bounds[k + 1],
+        normalizedValue: scale.classes > 1 ? k / (scale.classes - 1) : 1,
+      });
+    }
+    return classes;
+  }
+
+  /**
+   * Linear-interpolated percentile of sorted values
+   * @param {ArrayLike} sorted - Ascending values
+   * @param {number} p - Percentile in [0, 100]
+   * @returns {number} Percentile value (0 for an empty sample)
+   */
+  static percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const pos = ((sorted.length - 1) * Math.max(0, Math.min(100, p))) / 100;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  /**
+   * Collect the values of the cells the Renderer draws
+   * @param {ArrayLike} grid - Summed weight per cell (cells with grid <= 0 are empty)
+   * @param {ArrayLike} values - Value per cell (see Aggregator.getValues)
+   * @returns {Float64Array} Values of non-empty cells
+   */
+  static collectValues(grid, values) {
+    const out = [];
+    for (let i = 0; i < grid.length; i++) {
+      if (grid[i] > 0 && !isNaN(values[i])) out.push(values[i]);
+    }
+    return Float64Array.from(out);
+  }
+
+  /**
+   * Index of the class a value falls into
+   * @private
+   */
+  static _classOf(breaks, v) {
+    let k = 0;
+    while (k < breaks.length && v >= breaks[k]) k++;
+    return k;
+  }
+
+  /**
+   * Copy finite values into an ascending array
+   * @private
+   */
+  static _sortedFinite(values) {
+    const out = [];
+    if (values) {
+      for (let i = 0; i < values.length; i++) {
+        if (Number.isFinite(values[i])) out.push(values[i]);
+      }
+    }
+    return out.sort((a, b) => a - b);
+  }
+
+  /**
+   * Forward transforms of the continuous scale types
+   * @private
+   */
+  static _transforms = {
+    linear: (v) => v,
+    log: (v) => (v > 0 ? Math.log10(v) : -Infinity),
+    sqrt: (v) => (v > 0 ? Math.sqrt(v) : 0),
+  };
+
+  /**
+   * Inverse transforms of the continuous scale types
+   * @private
+   */
+  static _inverses = {
+    linear: (t) => t,
+    log: (t) => Math.pow(10, t),
+    sqrt: (t) => t * t,
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * SpatialIndex.js
+ * Static KD-tree over point longitudes/latitudes for viewport culling
+ *
+ * The tree is packed into flat typed arrays: `ids` holds row indices and `coords`
+ * interleaved [lng, lat] pairs, recursively partitioned around the median so that
+ * any range [left, right] is a subtree split on alternating axes. Ranges of at most
+ * `nodeSize` points are left unsorted and scanned linearly.
+ *
+ * Incremental data changes patch the index instead of rebuilding it: rows added or moved
+ * go to a side buffer (`extra`, row -> [lng, lat]) that overrides their tree entry, and
+ * removed rows become tombstones in `ids`. Once the patches outgrow REBUILD_RATIO of the
+ * tree, needsRebuild() tells the caller to build a fresh index.
+ */
+
+import { DataSource } from './DataSource.js';
+
+const DEFAULT_NODE_SIZE = 64;
+// Marks a tree entry whose row was removed
+const REMOVED = 0xffffffff;
+
+export class SpatialIndex {
+  /**
+   * Build an index over layer data
+   * @param {Array|Object} data - Layer data (array or columnar)
+   * @param {Function} getPosition - Position accessor for array data
+   * @param {number} nodeSize - Leaf size (default: 64)
+   * @returns {Object} Index: {ids: Uint32Array, coords: Float64Array, nodeSize, length, extra, removed}
+   */
+  static build(data, getPosition, nodeSize = DEFAULT_NODE_SIZE) {
+    const length = DataSource.getLength(data);
+    const ids = new Uint32Array(length);
+    const coords = new Float64Array(length * 2);
+    const columnar = DataSource.isColumnar(data);
+
+    for (let i = 0; i < length; i++) {
+      let lng;
+      let lat;
+      if (columnar) {
+        lng = data.lng[i];
+        lat = data.lat[i];
+      } else {
+        [lng, lat] = getPosition(data[i]);
+      }
+      ids[i] = i;
+      coords[2 * i] = SpatialIndex.wrapLongitude(lng);
+      coords[2 * i + 1] = lat;
+    }
+
+    SpatialIndex._sort(ids, coords, nodeSize, 0, length - 1, 0);
+
+    return { ids, coords, nodeSize, length, extra: new Map(), removed: 0 };
+  }
+
+  /**
+   * Patches allowed, as a fraction of the tree size, before needsRebuild() is true
+   */
+  static REBUILD_RATIO = 0.25;
+
+  /**
+   * Add a row, or move an existing one, without rebuilding
+   * @param {Object} index - Result from build()
+   * @param {number} row - Row index
+   * @param {number} lng - Longitude
+   * @param {number} lat - Latitude
+   */
+  static insert(index, row, lng, lat) {
+    index.extra.set(row, [SpatialIndex.wrapLongitude(lng), lat]);
+  }
+
+  /**
+   * Renumber rows after rows were removed from the data
+   * @param {Object} index - Result from build()
+   * @param {Int32Array} rowMap - New row index per old row, or -1 for removed rows
+   */
+  static remap(index, rowMap) {
+    const { ids } = index;
+    for (let i = 0; i < index.length; i++) {
+      if (ids[i] === REMOVED) continue;
+      const row = rowMap[ids[i]];
+      if (row < 0) {
+        ids[i] = REMOVED;
+        index.removed++;
+      } else {
+        ids[i] = row;
+      }
+    }
+
+    const extra = new Map();
+    for (const [row, position] of index.extra) {
+      if (rowMap[row] >= 0) extra.set(rowMap[row], position);
+    }
+    index.extra = extra;
+  }
+
+  /**
+   * Whether enough patches piled up that a fresh build() is worth it
+   * @param {Object} index - Result from build()
+   * @returns {boolean}
+   */
+  static needsRebuild(index) {
+    return index.extra.size + index.removed > index.length * SpatialIndex.REBUILD_RATIO + index.nodeSize;
+  }
+
+  /**
+   * Find all rows inside a geographic bounding box
+   * Boxes crossing the antimeridian (west > east after wrapping, or
+   * longitudes beyond ±180 as returned by map.getBounds()) are split in two.
+   * @param {Object} index - Result from build()
+   * @param {Object} bounds - {west, south, east, north} in degrees
+   * @returns {Uint32Array} Matching row indices
+   */
+  static query(index, bounds) {
+    const { south, north } = bounds;
+    const results = [];
+
+    if (bounds.east - bounds.west >= 360) {
+      SpatialIndex.range(index, -180, south, 180, north, results);
+      return Uint32Array.from(results);
+    }
+
+    const west = SpatialIndex.wrapLongitude(bounds.west);
+    const east = SpatialIndex.wrapLongitude(bounds.east);
+
+    if (west <= east) {
+      SpatialIndex.range(index, west, south, east, north, results);
+    } else {
+      SpatialIndex.range(index, west, south, 180, north, results);
+      SpatialIndex.range(index, -180, south, east, north, results);
+    }
+
+    return Uint32Array.from(results);
+  }
+
+  /**
+   * Collect rows inside an axis-aligned box in index coordinates
+   * @param {Object} index - Result from build()
+   * @param {number} minX - Minimum longitude (-180..180)
+   * @param {number} minY - Minimum latitude
+   * @param {number} maxX - Maximum longitude (-180..180)
+   * @param {number} maxY - Maximum latitude
+   * @param {Array} results - Row indices are pushed here
+   * @returns {Array} results
+   */
+  static range(index, minX, minY, maxX, maxY, results = []) {
+    const { ids, coords, nodeSize, length, extra } = index;
+    // Tree entries of removed rows, and of rows the side buffer overrides, are skipped
+    const patched = extra.size > 0;
+    const accept = (id) => id !== REMOVED && !(patched && extra.has(id));
+
+    for (const [row, [x, y]] of extra) {
+      if (x >= minX && x <= maxX && y >= minY && y <= maxY) results.push(row);
+    }
+    if (length === 0) return results;
+
+    const stack = [0, length - 1, 0];
+
+    while (stack.length) {
+      const axis = stack.pop();
+      const right = stack.pop();
+      const left = stack.pop();
+
+      if (right - left <= nodeSize) {
+        for (let i = left; i <= right; i++) {
+          const x = coords[2 * i];
+          const y = coords[2 * i + 1];
+          if (x >= minX && x <= maxX && y >= minY && y <= maxY && accept(ids[i])) results.push(ids[i]);
+        }
+        continue;
+      }
+
+      const m = (left + right) >> 1;
+      const x = coords[2 * m];
+      const y = coords[2 * m + 1];
+      if (x >= minX && x <= maxX && y >= minY && y <= maxY && accept(ids[m])) results.push(ids[m]);
+
+      const value = axis === 0 ? x : y;
+      const min = axis === 0 ? minX : minY;
+      const max = axis === 0 ? maxX : maxY;
+
+      if (min <= value) stack.push(left, m - 1, 1 - axis);
+      if (max >= value) stack.push(m + 1, right, 1 - axis);
+    }
+
+    return results;
+  }
+
+  /**
+   * Geographic bounds of the viewport, padded by a screen margin
+   * @param {Object} map - MapLibre GL map instance
+   * @param {number} marginPixels - Padding on every side, in screen pixels
+   * @param {number} width - Viewport width in pixels
+   * @param {number} height - Viewport height in pixels
+   * @returns {Object} {west, south, east, north}; longitudes are not wrapped
+   */
+  static getViewportBounds(map, marginPixels, width, height) {
+    const bounds = map.getBounds();
+    let west = bounds.getWest();
+    let east = bounds.getEast();
+    let south = bounds.getSouth();
+    let north = bounds.getNorth();
+
+    const padX = width > 0 ? ((east - west) * marginPixels) / width : 0;
+    const padY = height > 0 ? ((north - south) * marginPixels) / height : 0;
+
+    west -= padX;
+    east += padX;
+    south = Math.max(-90, south - padY);
+    north = Math.min(90, north + padY);
+
+    return { west, south, east, north };
+  }
+
+  /**
+   * Wrap a longitude into [-180, 180]
+   * @param {number} lng - Longitude in degrees
+   * @returns {number} Wrapped longitude
+   */
+  static wrapLongitude(lng) {
+    if (lng >= -180 && lng <= 180) return lng;
+    return ((((lng + 180) % 360) + 360) % 360) - 180;
+  }
+
+  /**
+   * Recursively partition [left, right] around its median on alternating axes
+   * @private
+   */
+  static _sort(ids, coords, nodeSize, left, right, axis) {
+    if (right - left <= nodeSize) return;
+
+    const m = (left + right) >> 1;
+    SpatialIndex._select(ids, coords, m, left, right, axis);
+
+    SpatialIndex._sort(ids, coords, nodeSize, left, m - 1, 1 - axis);
+    SpatialIndex._sort(ids, coords, nodeSize, m + 1, right, 1 - axis);
+  }
+
+  /**
+   * Quickselect: place the k-th smallest element (on one axis) at position k
+   * @private
+   */
+  static _select(ids, coords, k, left, right, axis) {
+    while (right > left) {
+      const pivot = coords[2 * k + axis];
+      let i = left;
+      let j = right;
+
+      SpatialIndex._swap(ids, coords, left, k);
+      if (coords[2 * right + axis] > pivot) SpatialIndex._swap(ids, coords, left, right);
+
+      while (i < j) {
+        SpatialIndex._swap(ids, coords, i, j);
+        i++;
+        j--;
+        while (coords[2 * i + axis] < pivot) i++;
+        while (coords[2 * j + axis] > pivot) j--;
+      }
+
+      if (coords[2 * left + axis] === pivot) {
+        SpatialIndex._swap(ids, coords, left, j);
+      } else {
+        j++;
+        SpatialIndex._swap(ids, coords, j, right);
+      }
+
+      if (j <= k) left = j + 1;
+      if (k <= j) right = j - 1;
+    }
+  }
+
+  /**
+   * Swap two entries
+   * @private
+   */
+  static _swap(ids, coords, i, j) {
+    const id = ids[i];
+    ids[i] = ids[j];
+    ids[j] = id;
+
+    const x = coords[2 * i];
+    const y = coords[2 * i + 1];
+    coords[2 * i] = coords[2 * j];
+    coords[2 * i + 1] = coords[2 * j + 1];
+    coords[2 * j] = x;
+    coords[2 * j + 1] = y;
+  }
+}
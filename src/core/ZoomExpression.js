@@ -0,0 +1,107 @@
+/**
+ * ZoomExpression.js
+ * MapLibre-style zoom expressions for numeric options
+ *
+ * Supported forms, with stops in ascending zoom order:
+ *   ['interpolate', ['linear'], ['zoom'], z0, v0, z1, v1, ...]
+ *   ['interpolate', ['exponential', base], ['zoom'], z0, v0, z1, v1, ...]
+ *   ['step', ['zoom'], v0, z1, v1, z2, v2, ...]
+ * Below the first stop and above the last one the value is held constant.
+ */
+
+export class ZoomExpression {
+  /**
+   * Whether a value is an expression rather than a plain number
+   * @param {*} value - Option value
+   * @returns {boolean}
+   */
+  static isExpression(value) {
+    return Array.isArray(value) && typeof value[0] === 'string';
+  }
+
+  /**
+   * Check an expression's structure
+   * @param {Array} expression - Zoom expression
+   * @throws {Error} If the expression is malformed or uses an unsupported operator
+   */
+  static validate(expression) {
+    const [op] = expression;
+    if (op !== 'interpolate' && op !== 'step') {
+      throw new Error(`ZoomExpression: unsupported operator "${op}", use "interpolate" or "step"`);
+    }
+
+    const inputIndex = op === 'interpolate' ? 2 : 1;
+    const input = expression[inputIndex];
+    if (!Array.isArray(input) || input[0] !== 'zoom') {
+      throw new Error(`ZoomExpression: "${op}" input must be ["zoom"]`);
+    }
+
+    if (op === 'interpolate') {
+      const [type, base] = expression[1] || [];
+      if (type !== 'linear' && !(type === 'exponential' && base > 0)) {
+        throw new Error(
+          'ZoomExpression: interpolation must be ["linear"] or ["exponential", base] with base > 0'
+        );
+      }
+    }
+
+    // interpolate: z0, v0, z1, v1, ...; step: v0, z1, v1, ... (zooms at odd positions)
+    const stops = op === 'interpolate' ? expression.slice(3) : expression.slice(2);
+    const first = op === 'interpolate' ? 0 : 1;
+    const paired = op === 'interpolate' ? stops.length >= 2 && stops.length % 2 === 0 : stops.length % 2 === 1;
+    if (!paired) {
+      throw new Error(`ZoomExpression: "${op}" needs zoom/value pairs`);
+    }
+    if (!stops.every((v) => typeof v === 'number' && Number.isFinite(v))) {
+      throw new Error(`ZoomExpression: "${op}" zooms and values must be finite numbers`);
+    }
+    for (let i = first + 2; i < stops.length; i += 2) {
+      if (stops[i] <= stops[i - 2]) {
+        throw new Error(`ZoomExpression: "${op}" stops must be in ascending zoom order`);
+      }
+    }
+  }
+
+  /**
+   * Evaluate an option at a zoom level
+   * @param {number|Array} value - Plain number (returned as is) or zoom expression
+   * @param {number} zoom - Map zoom
+   * @returns {number} Value at that zoom
+   * @throws {Error} If the expression is malformed
+   */
+  static evaluate(value, zoom) {
+    if (!ZoomExpression.isExpression(value)) return value;
+    ZoomExpression.validate(value);
+
+    if (value[0] === 'step') {
+      let result = value[2];
+      for (let i = 3; i < value.length; i += 2) {
+        if (zoom < value[i]) break;
+        result = value[i + 1];
+      }
+      return result;
+    }
+
+    const stops = value.slice(3);
+    const last = stops.length - 2;
+    if (zoom <= stops[0]) return stops[1];
+    if (zoom >= stops[last]) return stops[last + 1];
+
+    let i = 0;
+    while (zoom >= stops[i + 2]) i += 2;
+    const [z0, v0, z1, v1] = stops.slice(i, i + 4);
+    const base = value[1][0] === 'exponential' ? value[1][1] : 1;
+    return v0 + (v1 - v0) * ZoomExpression._interpolationFactor(zoom, z0, z1, base);
+  }
+
+  /**
+   * Position of a zoom between two stops, as MapLibre computes it
+   * @private
+   */
+  static _interpolationFactor(zoom, z0, z1, base) {
+    const range = z1 - z0;
+    const progress = zoom - z0;
+    if (base === 1) return progress / range;
+    return (Math.pow(base, progress) - 1) / (Math.pow(base, range) - 1);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Brush.js
+ * Rectangle and freehand lasso brush state, in screen space
+ */
+
+export class Brush {
+  /**
+   * Drags shorter than this (in pixels) are treated as clicks, not brushes
+   */
+  static MIN_SIZE = 4;
+
+  /**
+   * Lasso vertices closer than this (in pixels) to the previous one are skipped
+   */
+  static LASSO_SPACING = 3;
+
+  constructor() {
+    this.shape = null;
+    this.start = null;
+    this.points = [];
+  }
+
+  /**
+   * Whether a brush is being drawn
+   * @returns {boolean}
+   */
+  get active() {
+    return this.shape !== null;
+  }
+
+  /**
+   * Rectangle polygon spanning two corners
+   * @param {Array} a - [x, y]
+   * @param {Array} b - [x, y]
+   * @returns {Array} Four vertices, clockwise from `a`
+   */
+  static boxPolygon(a, b) {
+    return [
+      [a[0], a[1]],
+      [b[0], a[1]],
+      [b[0], b[1]],
+      [a[0], b[1]],
+    ];
+  }
+
+  /**
+   * Start a brush
+   * @param {Object} point - {x, y} screen position
+   * @param {string} shape - 'box' or 'lasso'
+   */
+  begin(point, shape) {
+    this.shape = shape;
+    this.start = [point.x, point.y];
+    this.points = [[point.x, point.y]];
+  }
+
+  /**
+   * Extend the brush to a new pointer position
+   * @param {Object} point - {x, y} screen position
+   */
+  move(point) {
+    if (!this.active) return;
+
+    if (this.shape === 'box') {
+      this.points = [this.start, [point.x, point.y]];
+      return;
+    }
+
+    const [lastX, lastY] = this.points[this.points.length - 1];
+    if (Math.hypot(point.x - lastX, point.y - lastY) >= Brush.LASSO_SPACING) {
+      this.points.push([point.x, point.y]);
+    }
+  }
+
+  /**
+   * Current brush outline
+   * @returns {Array|null} Polygon vertices [[x, y], ...], or null while no brush is drawn
+   */
+  getPolygon() {
+    if (!this.active) return null;
+    if (this.shape === 'box') {
+      return Brush.boxPolygon(this.start, this.points[this.points.length - 1]);
+    }
+    return this.points.slice();
+  }
+
+  /**
+   * Finish the brush
+   * @returns {Array|null} Final polygon, or null if the brush was too small to count
+   */
+  end() {
+    const polygon = this.getPolygon();
+    this.cancel();
+    if (!polygon || polygon.length < 3) return null;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const [x, y] of polygon) {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+    return maxX - minX < Brush.MIN_SIZE && maxY - minY < Brush.MIN_SIZE ? null : polygon;
+  }
+
+  /**
+   * Discard the current brush
+   */
+  cancel() {
+    this.shape = null;
+    this.start = null;
+    this.points = [];
+  }
+}
@@ -4,9 +4,60 @@
  */
 
 export class EventBinder {
+  /**
+   * Touches that move further than this (in pixels) are drags, not taps or long presses
+   */
+  static TAP_TOLERANCE = 10;
+
   constructor() {
     this.map = null;
     this.handlers = {};
+    this.touch = null;
+  }
+
+  /**
+   * Limit a handler to one call per `wait` milliseconds
+   * The first call runs immediately; the last call of a burst runs when the wait ends.
+   * @param {Function} fn - Handler
+   * @param {number} wait - Milliseconds between calls (0 or less: no throttling)
+   * @returns {Function} Throttled handler with a `cancel()` method that drops a pending call
+   */
+  static throttle(fn, wait) {
+    let last = 0;
+    let timer = null;
+    let pendingArgs = null;
+
+    const throttled = (...args) => {
+      if (!(wait > 0)) {
+        fn(...args);
+        return;
+      }
+
+      const now = Date.now();
+      const remaining = wait - (now - last);
+      if (remaining <= 0 && !timer) {
+        last = now;
+        fn(...args);
+        return;
+      }
+
+      pendingArgs = args;
+      if (!timer) {
+        timer = setTimeout(() => {
+          timer = null;
+          last = Date.now();
+          const callArgs = pendingArgs;
+          pendingArgs = null;
+          fn(...callArgs);
+        }, Math.max(0, remaining));
+      }
+    };
+    throttled.cancel = () => {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      pendingArgs = null;
+    };
+    return throttled;
   }
 
   /**
@@ -15,23 +66,69 @@ export class EventBinder {
    * @param {Object} eventHandlers - Object with handler methods
    * @param {Function} eventHandlers.handleHover - Hover handler
    * @param {Function} eventHandlers.handleClick - Click handler
-   * @param {Function} eventHandlers.handleZoom - Zoom handler
-   * @param {Function} eventHandlers.handleMove - Move handler
+   * @param {Function} eventHandlers.handleZoom - Zoom handler (optional)
+   * @param {Function} eventHandlers.handleMove - Move handler (optional)
+   * @param {Function} eventHandlers.handleMouseDown - Mouse down handler (optional)
+   * @param {Function} eventHandlers.handleMouseUp - Mouse up handler (optional)
+   * @param {Function} eventHandlers.handleDblClick - Double-click handler (optional)
+   * @param {Function} eventHandlers.handleContextMenu - Context menu (right-click) handler (optional)
+   * @param {Function} eventHandlers.handleMouseOut - Pointer left the map (optional)
+   * @param {Function} eventHandlers.handleTap - Touch tap handler (optional)
+   * @param {Function} eventHandlers.handleLongPress - Touch long-press handler (optional)
+   * @param {Function} eventHandlers.handleTouchCancel - Touch turned into a drag or was cancelled (optional)
+   * @param {Object} options - Binding options
+   * @param {number} options.hoverThrottle - Minimum milliseconds between hover calls (default: 0)
+   * @param {number} options.longPressDuration - Milliseconds a touch is held for a long press (default: 500)
    */
-  bind(map, eventHandlers) {
+  bind(map, eventHandlers, options = {}) {
+    const { hoverThrottle = 0, longPressDuration = 500 } = options;
     this.map = map;
 
     // Create bound handlers that preserve context
-    this.handlers.onMouseMove = (e) => eventHandlers.handleHover(e);
+    this.handlers.onMouseMove = EventBinder.throttle((e) => eventHandlers.handleHover(e), hoverThrottle);
     this.handlers.onClick = (e) => eventHandlers.handleClick(e);
-    this.handlers.onZoom = () => eventHandlers.handleZoom();
-    this.handlers.onMove = () => eventHandlers.handleMove();
 
     // Attach to map
     this.map.on('mousemove', this.handlers.onMouseMove);
     this.map.on('click', this.handlers.onClick);
-    this.map.on('zoom', this.handlers.onZoom);
-    this.map.on('move', this.handlers.onMove);
+
+    if (eventHandlers.handleZoom) {
+      this.handlers.onZoom = () => eventHandlers.handleZoom();
+      this.map.on('zoom', this.handlers.onZoom);
+    }
+    if (eventHandlers.handleMove) {
+      this.handlers.onMove = () => eventHandlers.handleMove();
+      this.map.on('move', this.handlers.onMove);
+    }
+
+    // Button handlers drive drag interactions such as brushing
+    if (eventHandlers.handleMouseDown) {
+      this.handlers.onMouseDown = (e) => eventHandlers.handleMouseDown(e);
+      this.map.on('mousedown', this.handlers.onMouseDown);
+    }
+    if (eventHandlers.handleMouseUp) {
+      this.handlers.onMouseUp = (e) => eventHandlers.handleMouseUp(e);
+      this.map.on('mouseup', this.handlers.onMouseUp);
+    }
+    if (eventHandlers.handleDblClick) {
+      this.handlers.onDblClick = (e) => eventHandlers.handleDblClick(e);
+      this.map.on('dblclick', this.handlers.onDblClick);
+    }
+    if (eventHandlers.handleContextMenu) {
+      this.handlers.onContextMenu = (e) => eventHandlers.handleContextMenu(e);
+      this.map.on('contextmenu', this.handlers.onContextMenu);
+    }
+    if (eventHandlers.handleMouseOut) {
+      this.handlers.onMouseOut = (e) => {
+        // A throttled move arriving after the pointer left would hover again
+        this.handlers.onMouseMove.cancel();
+        eventHandlers.handleMouseOut(e);
+      };
+      this.map.on('mouseout', this.handlers.onMouseOut);
+    }
+    if (eventHandlers.handleTap || eventHandlers.handleLongPress) {
+      this._bindTouch(eventHandlers, longPressDuration);
+    }
 
     console.log('Events bound to map');
   }
@@ -44,8 +141,21 @@ export class EventBinder {
 
     this.map.off('mousemove', this.handlers.onMouseMove);
     this.map.off('click', this.handlers.onClick);
-    this.map.off('zoom', this.handlers.onZoom);
-    this.map.off('move', this.handlers.onMove);
+    if (this.handlers.onZoom) this.map.off('zoom', this.handlers.onZoom);
+    if (this.handlers.onMove) this.map.off('move', this.handlers.onMove);
+    if (this.handlers.onMouseDown) this.map.off('mousedown', this.handlers.onMouseDown);
+    if (this.handlers.onMouseUp) this.map.off('mouseup', this.handlers.onMouseUp);
+    if (this.handlers.onDblClick) this.map.off('dblclick', this.handlers.onDblClick);
+    if (this.handlers.onContextMenu) this.map.off('contextmenu', this.handlers.onContextMenu);
+    if (this.handlers.onMouseOut) this.map.off('mouseout', this.handlers.onMouseOut);
+    if (this.handlers.onTouchStart) {
+      this.map.off('touchstart', this.handlers.onTouchStart);
+      this.map.off('touchmove', this.handlers.onTouchMove);
+      this.map.off('touchend', this.handlers.onTouchEnd);
+      this.map.off('touchcancel', this.handlers.onTouchCancel);
+    }
+    this.handlers.onMouseMove.cancel();
+    this._resetTouch();
 
     this.handlers = {};
     this.map = null;
@@ -53,6 +163,65 @@ export class EventBinder {
     console.log('Events unbound from map');
   }
 
+  /**
+   * Turn single-finger touches into taps and long presses
+   * Both handlers receive the touchstart event, whose `point` is where the finger went down.
+   * A touch that turns into a drag or pinch, or is cancelled, calls handleTouchCancel instead.
+   * @private
+   */
+  _bindTouch(eventHandlers, longPressDuration) {
+    this.handlers.onTouchStart = (e) => {
+      this._resetTouch();
+      const touches = e.originalEvent && e.originalEvent.touches;
+      if (touches && touches.length > 1) return;
+
+      this.touch = { start: e, longPressed: false, timer: null };
+      if (eventHandlers.handleLongPress) {
+        this.touch.timer = setTimeout(() => {
+          this.touch.timer = null;
+          this.touch.longPressed = true;
+          eventHandlers.handleLongPress(e);
+        }, longPressDuration);
+      }
+    };
+    this.handlers.onTouchMove = (e) => {
+      if (!this.touch) return;
+      const { point } = this.touch.start;
+      const touches = e.originalEvent && e.originalEvent.touches;
+      if (
+        (touches && touches.length > 1) ||
+        Math.hypot(e.point.x - point.x, e.point.y - point.y) > EventBinder.TAP_TOLERANCE
+      ) {
+        this._resetTouch();
+        if (eventHandlers.handleTouchCancel) eventHandlers.handleTouchCancel(e);
+      }
+    };
+    this.handlers.onTouchEnd = () => {
+      if (!this.touch) return;
+      const { start, longPressed } = this.touch;
+      this._resetTouch();
+      if (!longPressed && eventHandlers.handleTap) eventHandlers.handleTap(start);
+    };
+    this.handlers.onTouchCancel = (e) => {
+      this._resetTouch();
+      if (eventHandlers.handleTouchCancel) eventHandlers.handleTouchCancel(e);
+    };
+
+    this.map.on('touchstart', this.handlers.onTouchStart);
+    this.map.on('touchmove', this.handlers.onTouchMove);
+    this.map.on('touchend', this.handlers.onTouchEnd);
+    this.map.on('touchcancel', this.handlers.onTouchCancel);
+  }
+
+  /**
+   * Forget the current touch and its pending long press
+   * @private
+   */
+  _resetTouch() {
+    if (this.touch && this.touch.timer) clearTimeout(this.touch.timer);
+    this.touch = null;
+  }
+
   /**
    * Bind a specific event
    * @param {string} eventName - Event name (e.g., 'mousemove', 'click')
@@ -0,0 +1,110 @@
+/**
+ * EventEmitter.js
+ * Minimal typed event emitter for layer events
+ */
+
+export class EventEmitter {
+  /**
+   * @param {Array} types - Allowed event types; on() and once() reject others
+   */
+  constructor(types) {
+    this.types = new Set(types);
+    this.listeners = new Map();
+  }
+
+  /**
+   * Register a listener
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event payload
+   * @throws {Error} If the type is unknown or the listener is not a function
+   */
+  on(type, listener) {
+    this._check(type, listener);
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push({ listener, once: false });
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event payload
+   * @throws {Error} If the type is unknown or the listener is not a function
+   */
+  once(type, listener) {
+    this._check(type, listener);
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push({ listener, once: true });
+  }
+
+  /**
+   * Remove a listener registered with on() or once()
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener to remove; omit to remove all listeners of the type
+   */
+  off(type, listener) {
+    const entries = this.listeners.get(type);
+    if (!entries) return;
+
+    if (!listener) {
+      this.listeners.delete(type);
+      return;
+    }
+    const index = entries.findIndex((entry) => entry.listener === listener);
+    if (index !== -1) entries.splice(index, 1);
+  }
+
+  /**
+   * Call the listeners of a type
+   * A throwing listener is logged and does not stop the others.
+   * @param {string} type - Event type
+   * @param {*} payload - Event payload
+   */
+  emit(type, payload) {
+    const entries = this.listeners.get(type);
+    if (!entries || entries.length === 0) return;
+
+    // Copy so listeners can add or remove listeners while being called
+    for (const entry of entries.slice()) {
+      // Skip listeners removed by an earlier listener of this emit
+      const index = entries.indexOf(entry);
+      if (index === -1) continue;
+      // Remove this registration itself: the same function may also be registered with on()
+      if (entry.once) entries.splice(index, 1);
+      try {
+        entry.listener(payload);
+      } catch (e) {
+        console.error(`Error in "${type}" listener:`, e);
+      }
+    }
+  }
+
+  /**
+   * Whether a type has listeners
+   * @param {string} type - Event type
+   * @returns {boolean}
+   */
+  has(type) {
+    const entries = this.listeners.get(type);
+    return !!entries && entries.length > 0;
+  }
+
+  /**
+   * Remove every listener
+   */
+  clear() {
+    this.listeners.clear();
+  }
+
+  /**
+   * Validate a type and listener
+   * @private
+   */
+  _check(type, listener) {
+    if (!this.types.has(type)) {
+      throw new Error(`Unknown event type "${type}"`);
+    }
+    if (typeof listener !== 'function') {
+      throw new Error(`Listener for "${type}" must be a function`);
+    }
+  }
+}
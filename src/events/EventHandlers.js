@@ -3,6 +3,8 @@
  * Event handler implementations
  */
 
+import { GridGeometry } from '../core/GridGeometry.js';
+
 export class EventHandlers {
   /**
    * Handle hover events
@@ -19,6 +21,44 @@ export class EventHandlers {
     }
   }
 
+  /**
+   * Handle hover events with enter/leave semantics
+   * Callbacks only fire when the pointer moves to another cell (or the grid is replaced),
+   * so cell info is not rebuilt on every mousemove.
+   * @param {Object} event - MapLibre mouse or touch event
+   * @param {Object} cellQueryEngine - CellQueryEngine instance
+   * @param {Object|null} hovered - Hover state returned by the previous call
+   * @param {Function} onHover - Called with {cell, event} when a cell is entered
+   * @param {Function} onHoverEnd - Called with {cell, event} when the hovered cell is left
+   * @returns {Object|null} New hover state {index, aggregationResult, cell}, or null off the grid
+   */
+  static handleHoverChange(event, cellQueryEngine, hovered, onHover, onHoverEnd) {
+    const result = cellQueryEngine ? cellQueryEngine.aggregationResult : null;
+    const index = result ? GridGeometry.indexAt(result, event.point.x, event.point.y) : -1;
+    if (hovered && hovered.index === index && hovered.aggregationResult === result) {
+      return hovered;
+    }
+
+    EventHandlers.handleHoverEnd(event, hovered, onHoverEnd);
+    if (index < 0) return null;
+
+    const cell = cellQueryEngine.getCellByIndex(index);
+    if (onHover) onHover({ cell, event });
+    return { index, aggregationResult: result, cell };
+  }
+
+  /**
+   * End the current hover, e.g. when the pointer leaves the map
+   * @param {Object} event - MapLibre event
+   * @param {Object|null} hovered - Hover state from handleHoverChange()
+   * @param {Function} onHoverEnd - Called with {cell, event} if a cell was hovered
+   * @returns {null} Cleared hover state
+   */
+  static handleHoverEnd(event, hovered, onHoverEnd) {
+    if (hovered && onHoverEnd) onHoverEnd({ cell: hovered.cell, event });
+    return null;
+  }
+
   /**
    * Handle click events
    * @param {Object} event - MapLibre click event
@@ -36,14 +76,13 @@ export class EventHandlers {
 
   /**
    * Handle zoom events
+   * Zoom-dependent options (zoom expressions, zoomBasedSize) are evaluated by the layer each
+   * frame from the current zoom, so nothing in the config changes here.
    * @param {Object} map - MapLibre map instance
    * @param {Object} config - Layer configuration
    * @param {Function} onZoom - Callback after zoom handling
    */
   static handleZoom(map, config, onZoom) {
-    if (config.zoomBasedSize) {
-      EventHandlers._updateCellSizeBasedOnZoom(map, config);
-    }
     if (onZoom) onZoom();
   }
 
@@ -55,31 +94,6 @@ export class EventHandlers {
     if (onMove) onMove();
   }
 
-  /**
-   * Update cell size based on zoom level
-   * @private
-   */
-  static _updateCellSizeBasedOnZoom(map, config) {
-    if (!map) return;
-
-    const zoom = map.getZoom();
-    const baseZoom = 11;
-    const zoomFactor = Math.pow(2, zoom - baseZoom);
-    const newCellSize = Math.max(
-      config.minCellSize,
-      Math.min(config.maxCellSize, config.cellSizePixels / zoomFactor)
-    );
-
-    if (Math.abs(newCellSize - config.cellSizePixels) > 1) {
-      config.cellSizePixels = newCellSize;
-      console.log('Cell size updated based on zoom:', {
-        zoom,
-        zoomFactor,
-        newCellSize,
-      });
-    }
-  }
-
   /**
    * Instance methods for convenience
    */
@@ -0,0 +1,111 @@
+/**
+ * Selection.js
+ * Selected cells, stored as geographic locations
+ *
+ * Screen-space cells are rebuilt on every pan and re-aggregation, so a selection
+ * keeps the [lng, lat] of each selected cell's center and maps it back to whatever
+ * cell contains that location in the current grid.
+ */
+
+import { GridGeometry } from '../core/GridGeometry.js';
+
+export class Selection {
+  constructor() {
+    this.locations = [];
+  }
+
+  /**
+   * Convert a location to [lng, lat]
+   * @param {Array|Object} item - [lng, lat] or {lng, lat}
+   * @returns {Array} [lng, lat]
+   * @throws {Error} If the item is not a location
+   */
+  static toLngLat(item) {
+    if (Array.isArray(item) && item.length >= 2) {
+      return [+item[0], +item[1]];
+    }
+    if (item && item.lng != null && item.lat != null) {
+      return [+item.lng, +item.lat];
+    }
+    throw new Error('Selection: expected [lng, lat] or {lng, lat}');
+  }
+
+  /**
+   * Index of the cell containing a location in a grid
+   * @param {Object} map - MapLibre map instance
+   * @param {Object} layout - Grid layout (e.g. an aggregation result)
+   * @param {Array} lngLat - [lng, lat]
+   * @returns {number} Cell index, or -1 when outside the grid
+   */
+  static locate(map, layout, lngLat) {
+    const point = map.project(lngLat);
+    return GridGeometry.indexAt(layout, point.x, point.y);
+  }
+
+  /**
+   * Indices of the selected cells that hold data in a grid
+   * @param {Object} map - MapLibre map instance
+   * @param {Object} aggregationResult - Aggregation result
+   * @returns {Set} Cell indices; several locations may fall into one cell
+   */
+  getIndices(map, aggregationResult) {
+    const indices = new Set();
+    if (!map || !aggregationResult) return indices;
+
+    for (const lngLat of this.locations) {
+      const idx = Selection.locate(map, aggregationResult, lngLat);
+      if (idx >= 0 && aggregationResult.grid[idx] > 0) indices.add(idx);
+    }
+    return indices;
+  }
+
+  /**
+   * Toggle the cell at a location
+   * Locations falling into the same cell as `lngLat` count as that cell. Without `additive`,
+   * the cell becomes the only selected one, or the selection is cleared if it already was.
+   * @param {Object} map - MapLibre map instance
+   * @param {Object} aggregationResult - Aggregation result
+   * @param {Array} lngLat - Location of the cell (its center)
+   * @param {boolean} additive - Keep the other selected cells (default: false)
+   */
+  toggle(map, aggregationResult, lngLat, additive = false) {
+    const idx = Selection.locate(map, aggregationResult, lngLat);
+    const remaining = this.locations.filter(
+      (location) => Selection.locate(map, aggregationResult, location) !== idx
+    );
+    const wasSelected = remaining.length < this.locations.length;
+
+    if (additive) {
+      this.locations = wasSelected ? remaining : [...this.locations, lngLat];
+    } else {
+      this.locations = wasSelected && remaining.length === 0 ? [] : [lngLat];
+    }
+  }
+
+  /**
+   * Replace the selection
+   * @param {Array} items - Locations, see toLngLat()
+   * @throws {Error} If an item is not a location
+   */
+  set(items) {
+    this.locations = (items || []).map((item) => Selection.toLngLat(item));
+  }
+
+  /**
+   * Remove every location
+   * @returns {boolean} False if nothing was selected
+   */
+  clear() {
+    if (this.locations.length === 0) return false;
+    this.locations = [];
+    return true;
+  }
+
+  /**
+   * Copy of the selected locations
+   * @returns {Array} [[lng, lat], ...]
+   */
+  getLocations() {
+    return this.locations.map((lngLat) => [...lngLat]);
+  }
+}
@@ -10,14 +10,34 @@ export { ScreenGridLayerGL } from './ScreenGridLayerGL.js';
 export { Aggregator } from './core/Aggregator.js';
 export { Projector } from './core/Projector.js';
 export { CellQueryEngine } from './core/CellQueryEngine.js';
+export { GridGeometry } from './core/GridGeometry.js';
+export { Mercator } from './core/Mercator.js';
+export { Reducers } from './core/Reducers.js';
+export { DataSource } from './core/DataSource.js';
+export { SpatialIndex } from './core/SpatialIndex.js';
+export { Scales } from './core/Scales.js';
+export { Bivariate } from './core/Bivariate.js';
+export { CellEncoding } from './core/CellEncoding.js';
+export { Lens } from './core/Lens.js';
+export { ZoomExpression } from './core/ZoomExpression.js';
 
 // Canvas modules
 export { CanvasManager } from './canvas/CanvasManager.js';
 export { Renderer } from './canvas/Renderer.js';
+export { CellStyle } from './canvas/CellStyle.js';
 
 // Event modules
 export { EventBinder } from './events/EventBinder.js';
 export { EventHandlers } from './events/EventHandlers.js';
+export { Selection } from './events/Selection.js';
+export { Brush } from './events/Brush.js';
+export { EventEmitter } from './events/EventEmitter.js';
+
+// Worker pipeline
+export { WorkerPipeline } from './worker/WorkerPipeline.js';
+
+// Color palettes
+export { ColorScales } from './colors/ColorScales.js';
 
 // Glyph utilities
 export { GlyphUtilities } from './glyphs/GlyphUtilities.js';
@@ -29,3 +49,6 @@ export { ConfigManager } from './config/ConfigManager.js';
 export { Legend } from './legend/Legend.js';
 export { LegendDataExtractor } from './legend/LegendDataExtractor.js';
 export { LegendRenderers } from './legend/LegendRenderers.js';
+
+// Tooltip module
+export { Tooltip } from './tooltip/Tooltip.js';
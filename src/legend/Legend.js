@@ -11,7 +11,7 @@ export class Legend {
    * Create a new Legend instance
    * @param {Object} options - Configuration options
    * @param {ScreenGridLayerGL} options.layer - ScreenGridLayerGL instance to connect to
-   * @param {string} options.type - Legend type: 'color-scale', 'categorical', 'temporal', 'size-scale', 'auto', 'multi'
+   * @param {string} options.type - Legend type: 'color-scale', 'categorical', 'temporal', 'size-scale', 'bivariate', 'auto', 'multi'
    * @param {string} options.position - Position: 'top-left', 'top-right', 'bottom-left', 'bottom-right'
    * @param {string} options.title - Legend title
    * @param {HTMLElement} options.container - Custom container element (optional)
@@ -38,7 +38,13 @@ export class Legend {
     this.gridData = null;
     this.config = null;
 
-    // Bind to layer's onAggregate callback
+    // Listen for the layer's aggregations and style-only color mapping changes
+    this._onAggregate = (gridData) => {
+      if (this.layer && this.layer.config) {
+        this.update(gridData, this.layer.config);
+      }
+    };
+    this._onStyle = ({ gridData }) => this._onAggregate(gridData);
     if (this.layer) {
       this._attachToLayer();
     }
@@ -48,38 +54,15 @@ export class Legend {
   }
 
   /**
-   * Attach to layer's aggregation callback
+   * Subscribe to the layer's aggregate and style events
+   * The layer's own onAggregate callback is left untouched.
    * @private
    */
   _attachToLayer() {
     if (!this.layer) return;
 
-    const originalOnAggregate = this.layer.config?.onAggregate;
-
-    // Wrap the onAggregate callback
-    const wrappedCallback = (gridData) => {
-      // Call original callback if it exists
-      if (originalOnAggregate) {
-        originalOnAggregate(gridData);
-      }
-
-      // Update legend with current config
-      if (this.layer && this.layer.config) {
-        this.update(gridData, this.layer.config);
-      }
-    };
-
-    // Update the layer's config
-    if (this.layer.config) {
-      this.layer.config.onAggregate = wrappedCallback;
-    } else {
-      // If config not ready, wait for it
-      setTimeout(() => {
-        if (this.layer && this.layer.config) {
-          this.layer.config.onAggregate = wrappedCallback;
-        }
-      }, 100);
-    }
+    this.layer.on('aggregate', this._onAggregate);
+    this.layer.on('style', this._onStyle);
 
     // Also try to get initial data if available
     if (this.layer.gridData && this.layer.config) {
@@ -198,6 +181,16 @@ export class Legend {
         }
         break;
 
+      case 'bivariate':
+        legendData = LegendDataExtractor.extractBivariate(config, gridData);
+        if (legendData) {
+          LegendRenderers.renderBivariate(this.element, legendData, {
+            title: this.title,
+            ...this.renderOptions
+          });
+        }
+        break;
+
       case 'categorical':
         if (!this.categoryExtractor) {
           console.warn('Legend: categoryExtractor required for categorical legend');
@@ -235,11 +228,14 @@ export class Legend {
         break;
 
       case 'size-scale':
-        if (!this.sizeExtractor) {
+        // The layer's value-by-size / value-by-alpha encoding needs no extractor
+        if (!this.sizeExtractor && !config.cellEncoding) {
           console.warn('Legend: sizeExtractor required for size-scale legend');
           return;
         }
-        legendData = LegendDataExtractor.extractSizeScale(gridData, this.sizeExtractor);
+        legendData = this.sizeExtractor
+          ? LegendDataExtractor.extractSizeScale(gridData, this.sizeExtractor)
+          : LegendDataExtractor.extractCellEncoding(config, gridData);
         if (legendData) {
           LegendRenderers.renderSizeScale(this.element, legendData, {
             title: this.title,
@@ -252,10 +248,17 @@ export class Legend {
         // Multi-dimensional legend - extract multiple types
         const legendDataArray = [];
         
-        // Always include color scale if available
-        const colorData = LegendDataExtractor.extractColorScale(config, gridData);
+        // Always include the cell coloring if available
+        const colorData = config.bivariate
+          ? LegendDataExtractor.extractBivariate(config, gridData)
+          : LegendDataExtractor.extractColorScale(config, gridData);
         if (colorData) legendDataArray.push(colorData);
 
+        if (config.cellEncoding) {
+          const encodingData = LegendDataExtractor.extractCellEncoding(config, gridData);
+          if (encodingData) legendDataArray.push(encodingData);
+        }
+
         // Add other types if extractors provided
         if (this.categoryExtractor) {
           const catData = LegendDataExtractor.extractCategorical(
@@ -310,6 +313,10 @@ export class Legend {
    * Remove the legend from DOM
    */
   remove() {
+    if (this.layer) {
+      this.layer.off('aggregate', this._onAggregate);
+      this.layer.off('style', this._onStyle);
+    }
     if (this.element && this.element.parentNode) {
       this.element.parentNode.removeChild(this.element);
     }
@@ -3,9 +3,18 @@
  * Utilities to extract legend-relevant data from grid aggregation and config
  */
 
+import { Aggregator } from '../core/Aggregator.js';
+import { Scales } from '../core/Scales.js';
+import { Bivariate } from '../core/Bivariate.js';
+import { CellEncoding } from '../core/CellEncoding.js';
+import { ColorScales } from '../colors/ColorScales.js';
+
 export class LegendDataExtractor {
   /**
    * Extract color scale information from config
+   * With a `scale` configured, stops follow the resolved scale: one stop per class for
+   * classed scales (quantile, quantize, threshold), and stops spaced in the scale's
+   * transformed space (log, sqrt) for continuous ones.
    * @param {Object} config - ScreenGridLayerGL config
    * @param {Object} gridData - Aggregation result
    * @returns {Object} Color scale legend data
@@ -13,9 +22,20 @@ export class LegendDataExtractor {
   static extractColorScale(config, gridData) {
     if (!gridData || !gridData.grid) return null;
 
-    const values = gridData.grid.filter(v => v > 0);
+    // Follow the layer's colorBy so the legend matches what is drawn
+    const cellValues = Aggregator.getValues(gridData, config.colorBy);
+    const values = [];
+    for (let i = 0; i < gridData.grid.length; i++) {
+      if (gridData.grid[i] > 0 && !isNaN(cellValues[i])) values.push(cellValues[i]);
+    }
     if (values.length === 0) return null;
 
+    // Prefer the scale the layer resolved for this grid (it may use a dataset-wide domain)
+    const scale = gridData.valueScale || (config.scale ? Scales.resolve(config.scale, values) : null);
+    if (scale) {
+      return LegendDataExtractor._extractScaleStops(config, scale);
+    }
+
     const minValue = Math.min(...values);
     const maxValue = Math.max(...values);
 
@@ -39,6 +59,112 @@ export class LegendDataExtractor {
       minValue,
       maxValue,
       colorStops,
+      ...LegendDataExtractor._extractPalette(config.colorScale, false),
+      field: config.colorBy || null,
+      unit: config.legendUnit || ''
+    };
+  }
+
+  /**
+   * Palette metadata of a ColorScales scale, plus a smooth gradient for continuous legends
+   * @private
+   */
+  static _extractPalette(colorScale, discrete) {
+    const palette = (colorScale && colorScale.palette) || null;
+    const continuous = palette && !discrete && palette.type !== 'categorical';
+    return {
+      palette,
+      gradient: continuous ? ColorScales.sample(colorScale, 16) : null
+    };
+  }
+
+  /**
+   * Build color-scale legend data from a resolved scale
+   * @private
+   */
+  static _extractScaleStops(config, scale) {
+    const toStop = (value, normalizedValue, extra = {}) => {
+      const [r, g, b, a] = config.colorScale(normalizedValue);
+      return {
+        value,
+        normalizedValue,
+        color: `rgba(${r}, ${g}, ${b}, ${a / 255})`,
+        rgba: [r, g, b, a],
+        ...extra
+      };
+    };
+
+    let colorStops;
+    if (scale.discrete) {
+      colorStops = Scales.getClasses(scale).map((cls) =>
+        toStop(cls.from, cls.normalizedValue, { upperValue: cls.to })
+      );
+    } else {
+      const steps = 5;
+      colorStops = [];
+      for (let i = 0; i <= steps; i++) {
+        colorStops.push(toStop(scale.invert(i / steps), i / steps));
+      }
+    }
+
+    return {
+      type: 'color-scale',
+      minValue: scale.domain[0],
+      maxValue: scale.domain[1],
+      colorStops,
+      scaleType: scale.type,
+      domainMode: scale.domainMode,
+      discrete: scale.discrete,
+      breaks: scale.breaks,
+      ...LegendDataExtractor._extractPalette(config.colorScale, scale.discrete),
+      field: config.colorBy || null,
+      unit: config.legendUnit || ''
+    };
+  }
+
+  /**
+   * Extract bivariate legend data
+   * @param {Object} config - ScreenGridLayerGL config (uses `bivariate`)
+   * @param {Object} gridData - Aggregation result
+   * @returns {Object|null} Bivariate legend data: bins x bins colors (row 0 is the lowest y class)
+   *   and the class bounds of each axis
+   */
+  static extractBivariate(config, gridData) {
+    if (!gridData || !gridData.grid || !config.bivariate) return null;
+
+    let bivariate = gridData.bivariate;
+    if (!bivariate) {
+      try {
+        bivariate = Bivariate.resolve(config.bivariate, gridData);
+      } catch (error) {
+        console.error('Legend: invalid bivariate options:', error);
+        return null;
+      }
+    }
+
+    const { bins, x, y } = bivariate;
+    // Class bounds per axis, bins + 1 values from the domain min to max
+    const axisBounds = (scale) => {
+      if (scale.discrete) {
+        const classes = Scales.getClasses(scale);
+        return [...classes.map((cls) => cls.from), classes[classes.length - 1].to];
+      }
+      const bounds = [];
+      for (let k = 0; k <= bins; k++) bounds.push(scale.invert(k / bins));
+      return bounds;
+    };
+
+    return {
+      type: 'bivariate',
+      bins,
+      colors: bivariate.palette.colors,
+      palette: bivariate.palette,
+      xField: x.field,
+      yField: y.field,
+      xBreaks: axisBounds(x.scale),
+      yBreaks: axisBounds(y.scale),
+      xDomain: x.scale.domain,
+      yDomain: y.scale.domain,
       unit: config.legendUnit || ''
     };
   }
@@ -175,6 +301,58 @@ export class LegendDataExtractor {
     };
   }
 
+  /**
+   * Extract size-scale legend data from the layer's value-by-size or value-by-alpha encoding
+   * Sample factors are the exact size (fraction of the cell) or alpha the Renderer draws.
+   * @param {Object} config - ScreenGridLayerGL config (uses `cellEncoding`)
+   * @param {Object} gridData - Aggregation result
+   * @returns {Object|null} Size scale legend data
+   */
+  static extractCellEncoding(config, gridData) {
+    if (!gridData || !gridData.grid || !config.cellEncoding) return null;
+
+    let encoding = gridData.cellEncoding;
+    if (!encoding) {
+      try {
+        encoding = CellEncoding.resolve(config.cellEncoding, gridData);
+      } catch (error) {
+        console.error('Legend: invalid cellEncoding:', error);
+        return null;
+      }
+    }
+
+    const { scale } = encoding;
+    const [minSize, maxSize] = scale.domain;
+    if (Scales.collectValues(gridData.grid, encoding.values).length === 0) return null;
+
+    // One sample per class for classed scales, otherwise min, middle and max
+    const samples = scale.discrete
+      ? Scales.getClasses(scale).map((cls) => cls.from)
+      : [minSize, scale.invert(0.5), maxSize];
+    // A single-valued domain collapses to one sample
+    const sampleSizes = samples.filter((v, i) => samples.indexOf(v) === i);
+
+    // Swatch color: the top of the color scale (bivariate palettes have no single hue)
+    let color = null;
+    if (!config.bivariate && typeof config.colorScale === 'function') {
+      const [r, g, b] = config.colorScale(1);
+      color = `rgb(${r}, ${g}, ${b})`;
+    }
+
+    return {
+      type: 'size-scale',
+      encoding: encoding.type,
+      shape: encoding.shape,
+      field: encoding.field,
+      minSize,
+      maxSize,
+      sampleSizes,
+      sampleFactors: sampleSizes.map((v) => CellEncoding.factorOf(encoding, v)),
+      color,
+      unit: config.legendUnit || ''
+    };
+  }
+
   /**
    * Auto-detect legend type from config and gridData
    * @param {Object} config - ScreenGridLayerGL config
@@ -205,6 +383,7 @@ export class LegendDataExtractor {
 
     // Default to color scale if no glyphs enabled
     if (!config.enableGlyphs) {
+      if (config.bivariate) return 'bivariate';
       return 'color-scale';
     }
 
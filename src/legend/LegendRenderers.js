@@ -26,6 +26,12 @@ export class LegendRenderers {
     titleEl.textContent = title;
     container.appendChild(titleEl);
 
+    // Classed scales list one swatch per class with its value range
+    if (data.discrete) {
+      LegendRenderers._renderClassBreaks(container, data);
+      return;
+    }
+
     const scaleContainer = document.createElement('div');
     scaleContainer.className = 'glyph-legend-scale';
     scaleContainer.style.display = 'flex';
@@ -34,11 +40,17 @@ export class LegendRenderers {
     scaleContainer.style.width = orientation === 'vertical' ? `${width}px` : `${width}px`;
     scaleContainer.style.margin = '8px 0';
 
+    // Palettes from ColorScales come with a smooth gradient; stops then only carry tooltips
+    if (data.gradient) {
+      const direction = orientation === 'vertical' ? 'to top' : 'to right';
+      scaleContainer.style.background = `linear-gradient(${direction}, ${data.gradient.join(', ')})`;
+    }
+
     // Create gradient stops
     data.colorStops.forEach((stop, i) => {
       const stopEl = document.createElement('div');
       stopEl.className = 'glyph-legend-stop';
-      stopEl.style.backgroundColor = stop.color;
+      stopEl.style.backgroundColor = data.gradient ? 'transparent' : stop.color;
       stopEl.style.flex = '1';
       stopEl.style.minHeight = orientation === 'vertical' ? '1px' : '100%';
       stopEl.style.minWidth = orientation === 'horizontal' ? '1px' : '100%';
@@ -69,6 +81,45 @@ export class LegendRenderers {
     }
   }
 
+  /**
+   * Render the classes of a classed color scale, highest first
+   * @private
+   */
+  static _renderClassBreaks(container, data) {
+    const unit = data.unit ? ' ' + data.unit : '';
+    const format = (v) => (Number.isInteger(v) ? `${v}` : v.toFixed(1));
+
+    const itemsContainer = document.createElement('div');
+    itemsContainer.className = 'glyph-legend-items';
+
+    data.colorStops.slice().reverse().forEach((stop) => {
+      const itemEl = document.createElement('div');
+      itemEl.className = 'glyph-legend-item';
+      itemEl.style.display = 'flex';
+      itemEl.style.alignItems = 'center';
+      itemEl.style.marginBottom = '6px';
+
+      const colorBox = document.createElement('div');
+      colorBox.className = 'glyph-legend-color-box';
+      colorBox.style.width = '16px';
+      colorBox.style.height = '16px';
+      colorBox.style.backgroundColor = stop.color;
+      colorBox.style.marginRight = '8px';
+      colorBox.style.borderRadius = '2px';
+      itemEl.appendChild(colorBox);
+
+      const label = document.createElement('span');
+      label.className = 'glyph-legend-label';
+      label.style.fontSize = '12px';
+      label.textContent = `${format(stop.value)} – ${format(stop.upperValue)}${unit}`;
+      itemEl.appendChild(label);
+
+      itemsContainer.appendChild(itemEl);
+    });
+
+    container.appendChild(itemsContainer);
+  }
+
   /**
    * Render a categorical legend (for pie charts, bar charts, etc.)
    * @param {HTMLElement} container - Container element
@@ -214,6 +265,8 @@ export class LegendRenderers {
 
   /**
    * Render a size scale legend
+   * Data from LegendDataExtractor.extractCellEncoding() carries `sampleFactors`, drawn with the
+   * encoding's shape (value-by-size) or as same-size swatches of varying opacity (value-by-alpha).
    * @param {HTMLElement} container - Container element
    * @param {Object} data - Legend data from LegendDataExtractor
    * @param {Object} options - Rendering options
@@ -224,6 +277,8 @@ export class LegendRenderers {
       maxRadius = 30,
       showLabels = true
     } = options;
+    const unit = data.unit ? ' ' + data.unit : '';
+    const color = data.color || '#3498db';
 
     container.innerHTML = '';
 
@@ -246,20 +301,24 @@ export class LegendRenderers {
       itemContainer.style.alignItems = 'center';
       itemContainer.style.gap = '12px';
 
-      const radius = (size / data.maxSize) * maxRadius;
-      const circle = document.createElement('div');
-      circle.style.width = `${radius * 2}px`;
-      circle.style.height = `${radius * 2}px`;
-      circle.style.borderRadius = '50%';
-      circle.style.backgroundColor = 'rgba(52, 152, 219, 0.6)';
-      circle.style.border = '2px solid #3498db';
-      itemContainer.appendChild(circle);
+      if (data.sampleFactors) {
+        itemContainer.appendChild(LegendRenderers._createEncodingSymbol(data, i, maxRadius, color));
+      } else {
+        const radius = (size / data.maxSize) * maxRadius;
+        const circle = document.createElement('div');
+        circle.style.width = `${radius * 2}px`;
+        circle.style.height = `${radius * 2}px`;
+        circle.style.borderRadius = '50%';
+        circle.style.backgroundColor = 'rgba(52, 152, 219, 0.6)';
+        circle.style.border = '2px solid #3498db';
+        itemContainer.appendChild(circle);
+      }
 
       if (showLabels) {
         const label = document.createElement('span');
         label.style.fontSize = '11px';
         label.style.color = '#666';
-        label.textContent = size.toFixed(1);
+        label.textContent = `${size.toFixed(1)}${data.sampleFactors ? unit : ''}`;
         itemContainer.appendChild(label);
       }
 
@@ -269,6 +328,135 @@ export class LegendRenderers {
     container.appendChild(scaleContainer);
   }
 
+  /**
+   * Render a bivariate legend: a square grid of the 2D palette with the y axis pointing up
+   * @param {HTMLElement} container - Container element
+   * @param {Object} data - Legend data from LegendDataExtractor.extractBivariate()
+   * @param {Object} options - Rendering options
+   * @param {number} options.size - Grid side in pixels (default: 90)
+   * @param {string} options.xLabel - X axis label (default: data.xField or 'x')
+   * @param {string} options.yLabel - Y axis label (default: data.yField or 'y')
+   */
+  static renderBivariate(container, data, options = {}) {
+    const {
+      title = 'Value',
+      size = 90,
+      xLabel = data.xField || 'x',
+      yLabel = data.yField || 'y',
+      showMinMax = true
+    } = options;
+    const { bins } = data;
+    const format = (v) => (Number.isInteger(v) ? `${v}` : v.toFixed(1));
+
+    container.innerHTML = '';
+
+    const titleEl = document.createElement('div');
+    titleEl.className = 'glyph-legend-title';
+    titleEl.textContent = title;
+    container.appendChild(titleEl);
+
+    const body = document.createElement('div');
+    body.className = 'glyph-legend-bivariate';
+    body.style.display = 'flex';
+    body.style.alignItems = 'flex-end';
+    body.style.gap = '6px';
+    body.style.margin = '8px 0';
+
+    const yAxis = document.createElement('div');
+    yAxis.className = 'glyph-legend-axis-label';
+    yAxis.style.writingMode = 'vertical-rl';
+    yAxis.style.transform = 'rotate(180deg)';
+    yAxis.style.fontSize = '11px';
+    yAxis.style.color = '#666';
+    yAxis.style.height = `${size}px`;
+    yAxis.style.textAlign = 'center';
+    yAxis.textContent = `${yLabel} →`;
+    body.appendChild(yAxis);
+
+    const column = document.createElement('div');
+
+    const grid = document.createElement('div');
+    grid.className = 'glyph-legend-bivariate-grid';
+    grid.style.display = 'grid';
+    grid.style.gridTemplateColumns = `repeat(${bins}, 1fr)`;
+    grid.style.width = `${size}px`;
+    grid.style.height = `${size}px`;
+
+    // Highest y class on top
+    for (let yClass = bins - 1; yClass >= 0; yClass--) {
+      for (let xClass = 0; xClass < bins; xClass++) {
+        const cell = document.createElement('div');
+        cell.className = 'glyph-legend-bivariate-cell';
+        cell.style.backgroundColor = data.colors[yClass][xClass];
+        cell.title =
+          `${xLabel}: ${format(data.xBreaks[xClass])} – ${format(data.xBreaks[xClass + 1])}\n` +
+          `${yLabel}: ${format(data.yBreaks[yClass])} – ${format(data.yBreaks[yClass + 1])}`;
+        grid.appendChild(cell);
+      }
+    }
+    column.appendChild(grid);
+
+    const xAxis = document.createElement('div');
+    xAxis.className = 'glyph-legend-axis-label';
+    xAxis.style.fontSize = '11px';
+    xAxis.style.color = '#666';
+    xAxis.style.textAlign = 'center';
+    xAxis.style.marginTop = '4px';
+    xAxis.textContent = `${xLabel} →`;
+    column.appendChild(xAxis);
+
+    body.appendChild(column);
+    container.appendChild(body);
+
+    if (showMinMax) {
+      const unit = data.unit ? ' ' + data.unit : '';
+      const rangeEl = document.createElement('div');
+      rangeEl.className = 'glyph-legend-labels';
+      rangeEl.style.fontSize = '11px';
+      rangeEl.style.color = '#666';
+      [
+        [xLabel, data.xDomain],
+        [yLabel, data.yDomain]
+      ].forEach(([label, domain]) => {
+        const line = document.createElement('div');
+        line.textContent = `${label}: ${format(domain[0])} – ${format(domain[1])}${unit}`;
+        rangeEl.appendChild(line);
+      });
+      container.appendChild(rangeEl);
+    }
+  }
+
+  /**
+   * Symbol for one sample of a value-by-size or value-by-alpha encoding
+   * Each symbol sits in a fixed box so labels line up.
+   * @private
+   */
+  static _createEncodingSymbol(data, i, maxRadius, color) {
+    const factor = Math.max(0, data.sampleFactors[i]);
+    const box = document.createElement('div');
+    box.style.width = `${maxRadius * 2}px`;
+    box.style.height = `${maxRadius * 2}px`;
+    box.style.display = 'flex';
+    box.style.alignItems = 'center';
+    box.style.justifyContent = 'center';
+
+    const symbol = document.createElement('div');
+    symbol.className = 'glyph-legend-encoding-symbol';
+    symbol.style.backgroundColor = color;
+    if (data.encoding === 'alpha') {
+      symbol.style.width = '100%';
+      symbol.style.height = '100%';
+      symbol.style.opacity = `${Math.min(1, factor)}`;
+    } else {
+      const side = Math.min(1, factor) * maxRadius * 2;
+      symbol.style.width = `${side}px`;
+      symbol.style.height = `${side}px`;
+      symbol.style.borderRadius = data.shape === 'circle' ? '50%' : '2px';
+    }
+    box.appendChild(symbol);
+    return box;
+  }
+
   /**
    * Render a multi-dimensional legend (combining multiple encodings)
    * @param {HTMLElement} container - Container element
@@ -306,6 +494,9 @@ export class LegendRenderers {
         case 'size-scale':
           LegendRenderers.renderSizeScale(section, legendData, options.sizeScaleOptions || {});
           break;
+        case 'bivariate':
+          LegendRenderers.renderBivariate(section, legendData, options.bivariateOptions || {});
+          break;
       }
 
       container.appendChild(section);
@@ -0,0 +1,231 @@
+/**
+ * Tooltip.js
+ * Floating tooltip that follows the cursor over hovered grid cells
+ */
+
+export class Tooltip {
+  /**
+   * Create a new Tooltip instance
+   * @param {Object} options - Configuration options
+   * @param {ScreenGridLayerGL} options.layer - ScreenGridLayerGL instance to connect to
+   * @param {Function} options.template - (cell) => HTML string or DOM node; null or '' hides the tooltip (optional)
+   * @param {number} options.offset - Distance from the cursor in pixels (default: 12)
+   * @param {string} options.className - Class name of the tooltip element (default: 'screengrid-tooltip')
+   * @param {number} options.precision - Decimals of non-integer values in the default summary (default: 2)
+   */
+  constructor(options = {}) {
+    if (!options.layer) {
+      throw new Error('Tooltip: a layer is required');
+    }
+
+    this.layer = options.layer;
+    this.template = options.template || null;
+    this.offset = options.offset != null ? options.offset : 12;
+    this.className = options.className || 'screengrid-tooltip';
+    this.precision = options.precision != null ? options.precision : 2;
+
+    // Internal state
+    this.element = null;
+    this.map = null;
+    this.cell = null;
+
+    // Empty cells are hovered too, but have nothing to show
+    this._onHover = ({ cell, event }) => {
+      if (!cell || cell.pointCount === 0) this.hide();
+      else this.show(cell, event.point);
+    };
+    this._onHoverEnd = () => this.hide();
+    this._onMouseMove = (e) => {
+      if (this.cell) this._position(e.point);
+    };
+    // Drop the DOM when the layer leaves the map; it is rebuilt on the next hover
+    this._onLayerRemove = () => this._detach();
+
+    this.layer.on('hover', this._onHover);
+    this.layer.on('hoverend', this._onHoverEnd);
+    this.layer.on('remove', this._onLayerRemove);
+  }
+
+  /**
+   * Show the tooltip for a cell
+   * @param {Object} cell - Cell info (see ScreenGridLayerGL.getCellAt)
+   * @param {Object} point - {x, y} position in the map container
+   */
+  show(cell, point) {
+    if (!cell || !this._attach()) return;
+
+    const content = this._renderContent(cell);
+    if (content === null) {
+      this.hide();
+      return;
+    }
+
+    if (typeof content === 'string') {
+      this.element.innerHTML = content;
+    } else {
+      this.element.replaceChildren(content);
+    }
+    this.cell = cell;
+    this.element.style.display = 'block';
+    this._position(point);
+  }
+
+  /**
+   * Hide the tooltip
+   */
+  hide() {
+    this.cell = null;
+    if (this.element) {
+      this.element.style.display = 'none';
+    }
+  }
+
+  /**
+   * Replace the template
+   * @param {Function|null} template - (cell) => HTML string or DOM node; null restores the default summary
+   */
+  setTemplate(template) {
+    this.template = template || null;
+  }
+
+  /**
+   * Remove the tooltip from DOM and stop listening to the layer
+   */
+  remove() {
+    this._detach();
+    this.layer.off('hover', this._onHover);
+    this.layer.off('hoverend', this._onHoverEnd);
+    this.layer.off('remove', this._onLayerRemove);
+  }
+
+  /**
+   * Default tooltip content: value, point count and the layer's named aggregates
+   * @param {Object} cell - Cell info
+   * @param {number} precision - Decimals of non-integer values (default: 2)
+   * @returns {HTMLElement} Summary element
+   */
+  static defaultContent(cell, precision = 2) {
+    const format = (v) => {
+      if (v == null || Number.isNaN(v)) return '–';
+      return Number.isInteger(v) ? `${v}` : v.toFixed(precision);
+    };
+
+    const rows = [
+      ['Value', format(cell.value)],
+      ['Points', format(cell.pointCount)],
+    ];
+    for (const name in cell.aggregates || {}) {
+      rows.push([name, format(cell.aggregates[name])]);
+    }
+
+    const table = document.createElement('div');
+    table.className = 'screengrid-tooltip-summary';
+    table.style.cssText = 'display: grid; grid-template-columns: auto auto; column-gap: 8px;';
+    for (const [label, value] of rows) {
+      const labelEl = document.createElement('span');
+      labelEl.style.color = '#666';
+      labelEl.textContent = label;
+      const valueEl = document.createElement('span');
+      valueEl.style.cssText = 'font-weight: 600; text-align: right;';
+      valueEl.textContent = value;
+      table.appendChild(labelEl);
+      table.appendChild(valueEl);
+    }
+    return table;
+  }
+
+  /**
+   * Run the template, or build the default summary
+   * @private
+   * @returns {string|Node|null} Content, or null to hide
+   */
+  _renderContent(cell) {
+    if (!this.template) {
+      return Tooltip.defaultContent(cell, this.precision);
+    }
+
+    try {
+      const content = this.template(cell);
+      if (content == null || content === '') return null;
+      return typeof content === 'string' || typeof content === 'number' ? `${content}` : content;
+    } catch (e) {
+      console.error('Tooltip: error in template:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Create the element inside the layer's map container
+   * @private
+   * @returns {boolean} False while the layer is not on a map
+   */
+  _attach() {
+    if (this.element) return true;
+    if (!this.layer.map) return false;
+
+    this.map = this.layer.map;
+    this.element = document.createElement('div');
+    this.element.className = this.className;
+    this.element.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      display: none;
+      background: white;
+      border-radius: 4px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+      padding: 6px 8px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+      color: #333;
+      z-index: 1001;
+      max-width: 250px;
+      pointer-events: none;
+      white-space: nowrap;
+    `;
+    this.map.getContainer().appendChild(this.element);
+
+    // Hover events only fire when the cell changes; follow the cursor within a cell too
+    this.map.on('mousemove', this._onMouseMove);
+    return true;
+  }
+
+  /**
+   * Remove the element and the map listener
+   * @private
+   */
+  _detach() {
+    if (this.map) {
+      this.map.off('mousemove', this._onMouseMove);
+      this.map = null;
+    }
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this.cell = null;
+  }
+
+  /**
+   * Place the element next to the cursor, flipped and clamped to stay inside the map container
+   * @private
+   */
+  _position(point) {
+    if (!this.element || !this.map || !point) return;
+
+    const container = this.map.getContainer();
+    const maxX = container.clientWidth;
+    const maxY = container.clientHeight;
+    const width = this.element.offsetWidth;
+    const height = this.element.offsetHeight;
+
+    let x = point.x + this.offset;
+    if (x + width > maxX) x = point.x - this.offset - width;
+    let y = point.y + this.offset;
+    if (y + height > maxY) y = point.y - this.offset - height;
+
+    x = Math.max(0, Math.min(x, maxX - width));
+    y = Math.max(0, Math.min(y, maxY - height));
+    this.element.style.transform = `translate(${Math.round(x)}px, ${Math.round(y)}px)`;
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * WorkerPipeline.js
+ * Main-thread side of the off-thread projection and aggregation pipeline
+ */
+
+export class WorkerPipeline {
+  /**
+   * Check whether module workers can be created in this environment
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof URL !== 'undefined';
+  }
+
+  /**
+   * @param {Object} options - Pipeline options
+   * @param {string|URL} options.workerUrl - Worker script URL (default: bundled aggregation.worker.js)
+   */
+  constructor(options = {}) {
+    this.workerUrl = options.workerUrl || new URL('./aggregation.worker.js', import.meta.url);
+    this.worker = null;
+    this.onResult = null;
+    this.onError = null;
+
+    // Request bookkeeping: at most one frame in flight, newest pending frame wins
+    this.nextId = 1;
+    this.dataVersion = 0;
+    this.inFlight = false;
+    this.pendingFrame = null;
+    this.lastFrameKey = null;
+  }
+
+  /**
+   * Spawn the worker
+   * @param {Function} onResult - Called with each completed result
+   * @param {Function} onError - Called with an Error if the worker fails
+   * @throws {Error} If the worker cannot be created
+   */
+  start(onResult, onError) {
+    this.onResult = onResult;
+    this.onError = onError;
+
+    this.worker = new Worker(this.workerUrl, { type: 'module' });
+    this.worker.onmessage = (e) => this._handleMessage(e.data);
+    this.worker.onerror = (e) => {
+      this.inFlight = false;
+      if (this.onError) this.onError(new Error(e.message || 'Aggregation worker failed'));
+    };
+  }
+
+  /**
+   * Ship a dataset to the worker. The arrays are transferred and become unusable here.
+   * @param {Object} columns - {lng: Float64Array, lat: Float64Array, weight: Float32Array}
+   */
+  setData(columns) {
+    if (!this.worker) return;
+
+    const { lng, lat, weight } = columns;
+    this.dataVersion++;
+    this.worker.postMessage({ type: 'data', version: this.dataVersion, lng, lat, weight }, [
+      lng.buffer,
+      lat.buffer,
+      weight.buffer,
+    ]);
+
+    // Force the next frame through even if the camera did not move
+    this.lastFrameKey = null;
+  }
+
+  /**
+   * Add rows at the end of the worker's dataset. The arrays are transferred.
+   * @param {Object} columns - {lng, lat, weight} of the new rows, as for setData()
+   */
+  appendData(columns) {
+    const { lng, lat, weight } = columns;
+    this._sendPatch({ type: 'append', lng, lat, weight }, [lng.buffer, lat.buffer, weight.buffer]);
+  }
+
+  /**
+   * Remove rows from the worker's dataset; later rows shift down
+   * @param {Uint32Array} rows - Removed row indices, ascending. Transferred.
+   */
+  removeRows(rows) {
+    this._sendPatch({ type: 'remove', rows }, [rows.buffer]);
+  }
+
+  /**
+   * Replace one row of the worker's dataset
+   * @param {number} row - Row index
+   * @param {number} lng - Longitude
+   * @param {number} lat - Latitude
+   * @param {number} weight - Weight
+   */
+  updateRow(row, lng, lat, weight) {
+    this._sendPatch({ type: 'update', row, lng, lat, weight }, []);
+  }
+
+  /**
+   * Request a projection/aggregation pass for a camera state
+   * Identical consecutive requests are ignored.
+   * @param {Object} camera - Camera from Mercator.getCamera()
+   * @param {number} cellSizePixels - Cell size
+   * @param {Object} gridOptions - {gridType, hexOrientation, origin}
+   */
+  requestFrame(camera, cellSizePixels, gridOptions) {
+    if (!this.worker) return;
+
+    const key = JSON.stringify([camera, cellSizePixels, gridOptions]);
+    if (key === this.lastFrameKey) return;
+    this.lastFrameKey = key;
+
+    const frame = { type: 'frame', id: this.nextId++, camera, cellSizePixels, gridOptions };
+    if (this.inFlight) {
+      this.pendingFrame = frame;
+    } else {
+      this._send(frame);
+    }
+  }
+
+  /**
+   * Invalidate the last request so the next requestFrame() is always sent
+   */
+  invalidate() {
+    this.lastFrameKey = null;
+  }
+
+  /**
+   * Stop the worker and drop pending work
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.inFlight = false;
+    this.pendingFrame = null;
+    this.lastFrameKey = null;
+  }
+
+  /**
+   * Send a dataset change; like setData() it starts a new data version
+   * @private
+   */
+  _sendPatch(message, transfer) {
+    if (!this.worker) return;
+
+    this.dataVersion++;
+    this.worker.postMessage({ ...message, version: this.dataVersion }, transfer);
+    this.lastFrameKey = null;
+  }
+
+  /**
+   * @private
+   */
+  _send(frame) {
+    this.inFlight = true;
+    this.worker.postMessage(frame);
+  }
+
+  /**
+   * @private
+   */
+  _handleMessage(message) {
+    this.inFlight = false;
+
+    if (message.type === 'error') {
+      if (this.onError) this.onError(new Error(message.message));
+    } else if (message.type === 'result' && this.onResult) {
+      // Results computed against a replaced dataset would index the wrong rows
+      if (message.version === this.dataVersion) {
+        this.onResult(message);
+      }
+    }
+
+    if (this.pendingFrame && this.worker) {
+      const frame = this.pendingFrame;
+      this.pendingFrame = null;
+      this._send(frame);
+    }
+  }
+}
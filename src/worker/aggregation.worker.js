@@ -0,0 +1,97 @@
+/**
+ * aggregation.worker.js
+ * Web Worker entry: projects and bins points off the main thread
+ *
+ * Messages in:
+ *   {type: 'data', version, lng, lat, weight} - typed arrays, sent once per dataset
+ *   {type: 'append', version, lng, lat, weight} - rows added at the end
+ *   {type: 'remove', version, rows} - sorted Uint32Array of removed rows; later rows shift down
+ *   {type: 'update', version, row, lng, lat, weight} - one row replaced
+ *   {type: 'frame', id, camera, cellSizePixels, gridOptions} - one per camera change
+ * Messages out:
+ *   {type: 'result', id, version, ...binPoints() result, xs, ys}
+ *   {type: 'error', id, message}
+ */
+
+import { Aggregator } from '../core/Aggregator.js';
+import { DataSource } from '../core/DataSource.js';
+import { Mercator } from '../core/Mercator.js';
+
+let lng = new Float64Array(0);
+let lat = new Float64Array(0);
+let weight = new Float32Array(0);
+let version = 0;
+
+function handleFrame({ id, camera, cellSizePixels, gridOptions }) {
+  const count = lng.length;
+  const xs = new Float32Array(count);
+  const ys = new Float32Array(count);
+  const project = Mercator.createProjector(camera);
+  const point = { x: 0, y: 0 };
+
+  for (let i = 0; i < count; i++) {
+    project(lng[i], lat[i], point);
+    xs[i] = point.x;
+    ys[i] = point.y;
+  }
+
+  const result = Aggregator.binPoints(
+    xs,
+    ys,
+    weight,
+    camera.width,
+    camera.height,
+    cellSizePixels,
+    gridOptions
+  );
+
+  const transfer = [
+    result.grid.buffer,
+    result.cellOffsets.buffer,
+    result.pointIndices.buffer,
+    xs.buffer,
+    ys.buffer,
+  ];
+  if (result.gridType === 'adaptive') {
+    transfer.push(
+      result.rootOffsets.buffer,
+      result.cellX.buffer,
+      result.cellY.buffer,
+      result.cellSize.buffer
+    );
+  }
+
+  self.postMessage({ type: 'result', id, version, ...result, xs, ys }, transfer);
+}
+
+self.onmessage = (e) => {
+  const message = e.data;
+
+  try {
+    if (message.type === 'data') {
+      lng = message.lng;
+      lat = message.lat;
+      weight = message.weight;
+      version = message.version;
+    } else if (message.type === 'append') {
+      lng = DataSource.concatTyped(lng, message.lng);
+      lat = DataSource.concatTyped(lat, message.lat);
+      weight = DataSource.concatTyped(weight, message.weight);
+      version = message.version;
+    } else if (message.type === 'remove') {
+      lng = DataSource.removeTyped(lng, message.rows);
+      lat = DataSource.removeTyped(lat, message.rows);
+      weight = DataSource.removeTyped(weight, message.rows);
+      version = message.version;
+    } else if (message.type === 'update') {
+      lng[message.row] = message.lng;
+      lat[message.row] = message.lat;
+      weight[message.row] = message.weight;
+      version = message.version;
+    } else if (message.type === 'frame') {
+      handleFrame(message);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id: message.id, message: error.message });
+  }
+};